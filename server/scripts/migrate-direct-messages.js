@@ -0,0 +1,87 @@
+// Move messages stored before conversations existed into direct conversations.
+// They only have a sender and receiver: each pair of users gets its direct
+// conversation, and the old read and delivered flags become receipts. Safe to
+// run again, only messages without a conversation are touched.
+//
+//   node scripts/migrate-direct-messages.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+
+// Fill in the conversation and turn the old flags into receipts of the receiver
+const migrateUpdate = (conversationId) => [
+  {
+    $set: {
+      conversation: conversationId,
+      deliveredTo: {
+        $cond: [
+          { $or: ['$delivered', '$read'] },
+          [{ user: '$receiver', at: { $ifNull: ['$deliveredAt', { $ifNull: ['$readAt', '$createdAt'] }] } }],
+          []
+        ]
+      },
+      readBy: {
+        $cond: ['$read', [{ user: '$receiver', at: { $ifNull: ['$readAt', '$createdAt'] } }], []]
+      }
+    }
+  },
+  { $unset: ['delivered', 'deliveredAt', 'read', 'readAt'] }
+];
+
+// Point the conversation at its latest message and recount unread messages
+const refreshSummary = async (conversation) => {
+  const latest = await Message.findOne({ conversation: conversation._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('createdAt');
+  if (!latest) return;
+
+  conversation.lastMessage = latest._id;
+  conversation.lastMessageAt = latest.createdAt;
+  conversation.lastActivityAt = latest.createdAt;
+
+  for (const member of conversation.members) {
+    member.unreadCount = await Message.countDocuments({
+      conversation: conversation._id,
+      sender: { $ne: member.user },
+      'readBy.user': { $ne: member.user },
+      deletedAt: null
+    });
+  }
+
+  await conversation.save();
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Read the raw documents, the old flags are no longer in the schema
+  const pairs = await Message.collection.aggregate([
+    { $match: { conversation: null, receiver: { $ne: null } } },
+    { $group: { _id: { sender: '$sender', receiver: '$receiver' } } }
+  ]).toArray();
+
+  const conversationIds = new Map();
+  for (const { _id: { sender, receiver } } of pairs) {
+    const { conversation } = await Conversation.findOrCreateDirect(sender, receiver);
+    conversationIds.set(conversation._id.toString(), conversation._id);
+
+    const result = await Message.collection.updateMany(
+      { conversation: null, sender, receiver },
+      migrateUpdate(conversation._id)
+    );
+    console.log(`Moved ${result.modifiedCount} messages from ${sender} to ${receiver} into conversation ${conversation._id}`);
+  }
+
+  for (const conversationId of conversationIds.values()) {
+    await refreshSummary(await Conversation.findById(conversationId));
+  }
+
+  console.log(`Migrated messages into ${conversationIds.size} direct conversations`);
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
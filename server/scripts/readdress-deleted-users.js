@@ -0,0 +1,24 @@
+// Give accounts deleted before anonymized addresses moved to example.com an
+// address that passes the email check, so saving them again does not fail
+//
+//   node scripts/readdress-deleted-users.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await User.updateMany(
+    { deletedAt: { $ne: null }, email: /@deleted\.invalid$/ },
+    [{ $set: { email: { $concat: ['deleted-', { $toString: '$_id' }, '@deleted.example.com'] } } }]
+  );
+
+  console.log(`Updated ${result.modifiedCount} deleted accounts`);
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,314 @@
+// Minimal Redis-protocol broker for running several server instances locally
+// without a Redis install. It keeps everything in memory and only implements
+// the commands the Socket.IO Redis adapter and the presence store use, with
+// key expiry. Tests start one per run to exercise the Redis presence store.
+//
+//   npm run broker                            # listens on 6379, or REDIS_STANDIN_PORT
+//   REDIS_URL=redis://127.0.0.1:6379 PORT=5001 npm start
+//   REDIS_URL=redis://127.0.0.1:6379 PORT=5002 npm start
+//
+// Not for production: no persistence and no auth. Scripting is not
+// implemented, so keep RATE_LIMIT_STORE=memory when using it.
+const net = require('net');
+
+// RESP encoding
+const simple = (value) => `+${value}\r\n`;
+const error = (message) => `-ERR ${message}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const bulk = (value) => {
+  if (value === null || value === undefined) return '$-1\r\n';
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${buffer.length}\r\n`), buffer, Buffer.from('\r\n')]);
+};
+const array = (items) => Buffer.concat([
+  Buffer.from(`*${items.length}\r\n`),
+  ...items.map(item => (Buffer.isBuffer(item) ? item : Buffer.from(item)))
+]);
+
+// Parse as many complete commands (arrays of bulk strings) as the buffer holds
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+
+  const readLine = (start) => {
+    const end = buffer.indexOf('\r\n', start);
+    return end === -1 ? null : { line: buffer.toString('utf8', start, end), next: end + 2 };
+  };
+
+  while (offset < buffer.length) {
+    const header = readLine(offset);
+    if (!header) break;
+
+    if (header.line[0] !== '*') {
+      // Inline command, e.g. from telnet
+      commands.push(header.line.trim().split(/\s+/).map(part => Buffer.from(part)));
+      offset = header.next;
+      continue;
+    }
+
+    const count = parseInt(header.line.slice(1));
+    const args = [];
+    let position = header.next;
+    let complete = true;
+
+    for (let i = 0; i < count; i++) {
+      const lengthLine = readLine(position);
+      if (!lengthLine) { complete = false; break; }
+      const length = parseInt(lengthLine.line.slice(1));
+      if (lengthLine.next + length + 2 > buffer.length) { complete = false; break; }
+      args.push(buffer.subarray(lengthLine.next, lengthLine.next + length));
+      position = lengthLine.next + length + 2;
+    }
+
+    if (!complete) break;
+    commands.push(args);
+    offset = position;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+// Glob-style pattern used by PSUBSCRIBE
+const patternToRegExp = (pattern) => {
+  const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 's');
+};
+
+const parseScore = (value) => {
+  const text = value.toString();
+  if (text === '-inf') return { score: -Infinity, exclusive: false };
+  if (text === '+inf' || text === 'inf') return { score: Infinity, exclusive: false };
+  if (text.startsWith('(')) return { score: parseFloat(text.slice(1)), exclusive: true };
+  return { score: parseFloat(text), exclusive: false };
+};
+
+const inRange = (score, min, max) => (
+  (min.exclusive ? score > min.score : score >= min.score) &&
+  (max.exclusive ? score < max.score : score <= max.score)
+);
+
+// Create a broker. Every broker has its own keys and clients.
+const createRedisStandIn = () => {
+  const zsets = new Map(); // key -> Map(member -> score)
+  const expiries = new Map(); // key -> time in ms the key expires at
+  const clients = new Set();
+
+  // Drop a key whose expiry passed, as Redis does when the key is next touched
+  const expireKey = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      expiries.delete(key);
+      zsets.delete(key);
+    }
+  };
+
+  const deleteKey = (key) => {
+    expiries.delete(key);
+    return zsets.delete(key);
+  };
+
+  const getZset = (key) => {
+    expireKey(key);
+    return zsets.get(key);
+  };
+
+  const membersInRange = (key, min, max) => {
+    const zset = getZset(key) || new Map();
+    return Array.from(zset.entries())
+      .filter(([, score]) => inRange(score, parseScore(min), parseScore(max)))
+      .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+  };
+
+  const subscriptionCount = (client) => client.channels.size + client.patterns.size;
+
+  // Execute one command and return its encoded reply
+  const execute = (client, args) => {
+    const name = args[0].toString().toUpperCase();
+    const rest = args.slice(1);
+    const text = (index) => rest[index].toString();
+
+    switch (name) {
+      case 'PING':
+        return rest.length ? bulk(rest[0]) : simple('PONG');
+      case 'ECHO':
+        return bulk(rest[0]);
+      case 'INFO':
+        return bulk('# Server\r\nredis_version:7.0.0-standin\r\nloading:0\r\n');
+      case 'CLIENT':
+      case 'SELECT':
+        return simple('OK');
+      case 'QUIT':
+        client.socket.end(simple('OK'));
+        return null;
+
+      case 'SUBSCRIBE':
+      case 'PSUBSCRIBE': {
+        const isPattern = name === 'PSUBSCRIBE';
+        return Buffer.concat(rest.map(channel => {
+          const key = channel.toString();
+          if (isPattern) client.patterns.set(key, patternToRegExp(key));
+          else client.channels.add(key);
+          return array([bulk(name.toLowerCase()), bulk(key), integer(subscriptionCount(client))]);
+        }));
+      }
+      case 'UNSUBSCRIBE':
+      case 'PUNSUBSCRIBE': {
+        const isPattern = name === 'PUNSUBSCRIBE';
+        const targets = rest.length
+          ? rest.map(channel => channel.toString())
+          : Array.from(isPattern ? client.patterns.keys() : client.channels);
+        if (targets.length === 0) {
+          return array([bulk(name.toLowerCase()), bulk(null), integer(subscriptionCount(client))]);
+        }
+        return Buffer.concat(targets.map(key => {
+          if (isPattern) client.patterns.delete(key);
+          else client.channels.delete(key);
+          return array([bulk(name.toLowerCase()), bulk(key), integer(subscriptionCount(client))]);
+        }));
+      }
+      case 'PUBLISH': {
+        const channel = text(0);
+        const payload = rest[1];
+        let receivers = 0;
+        clients.forEach(other => {
+          if (other.channels.has(channel)) {
+            other.socket.write(array([bulk('message'), bulk(channel), bulk(payload)]));
+            receivers++;
+          }
+          other.patterns.forEach((regexp, pattern) => {
+            if (regexp.test(channel)) {
+              other.socket.write(array([bulk('pmessage'), bulk(pattern), bulk(channel), bulk(payload)]));
+              receivers++;
+            }
+          });
+        });
+        return integer(receivers);
+      }
+      case 'PUBSUB': {
+        if (text(0).toUpperCase() !== 'NUMSUB') return error('only PUBSUB NUMSUB is supported');
+        return array(rest.slice(1).flatMap(channel => {
+          const key = channel.toString();
+          const count = Array.from(clients).filter(other => other.channels.has(key)).length;
+          return [bulk(key), integer(count)];
+        }));
+      }
+
+      case 'ZADD': {
+        const zset = getZset(text(0)) || new Map();
+        zsets.set(text(0), zset);
+        let added = 0;
+        for (let i = 1; i < rest.length; i += 2) {
+          const member = rest[i + 1].toString();
+          if (!zset.has(member)) added++;
+          zset.set(member, parseFloat(rest[i].toString()));
+        }
+        return integer(added);
+      }
+      case 'ZREM': {
+        const zset = getZset(text(0));
+        if (!zset) return integer(0);
+        const removed = rest.slice(1).filter(member => zset.delete(member.toString())).length;
+        if (zset.size === 0) deleteKey(text(0));
+        return integer(removed);
+      }
+      case 'ZCARD':
+        return integer((getZset(text(0)) || new Map()).size);
+      case 'ZCOUNT':
+        return integer(membersInRange(text(0), rest[1], rest[2]).length);
+      case 'ZRANGEBYSCORE':
+        return array(membersInRange(text(0), rest[1], rest[2]).map(([member]) => bulk(member)));
+      case 'ZREMRANGEBYSCORE': {
+        const zset = getZset(text(0));
+        if (!zset) return integer(0);
+        const members = membersInRange(text(0), rest[1], rest[2]);
+        members.forEach(([member]) => zset.delete(member));
+        if (zset.size === 0) deleteKey(text(0));
+        return integer(members.length);
+      }
+      case 'DEL':
+        return integer(rest.filter(key => {
+          expireKey(key.toString());
+          return deleteKey(key.toString());
+        }).length);
+      case 'EXISTS':
+        return integer(rest.filter(key => getZset(key.toString())).length);
+      case 'EXPIRE':
+      case 'PEXPIRE': {
+        if (!getZset(text(0))) return integer(0);
+        const ms = parseInt(text(1)) * (name === 'EXPIRE' ? 1000 : 1);
+        if (ms <= 0) {
+          deleteKey(text(0));
+        } else {
+          expiries.set(text(0), Date.now() + ms);
+        }
+        return integer(1);
+      }
+      case 'TTL':
+      case 'PTTL': {
+        if (!getZset(text(0))) return integer(-2);
+        if (!expiries.has(text(0))) return integer(-1);
+        const ms = expiries.get(text(0)) - Date.now();
+        return integer(name === 'TTL' ? Math.ceil(ms / 1000) : ms);
+      }
+      case 'PERSIST':
+        return integer(getZset(text(0)) && expiries.delete(text(0)) ? 1 : 0);
+
+      default:
+        return error(`unknown command '${name}'`);
+    }
+  };
+
+  // Run a command, queueing it while the client is inside MULTI
+  const handle = (client, args) => {
+    const name = args[0].toString().toUpperCase();
+
+    if (name === 'MULTI') {
+      client.queue = [];
+      return simple('OK');
+    }
+    if (name === 'DISCARD') {
+      client.queue = null;
+      return simple('OK');
+    }
+    if (name === 'EXEC') {
+      if (!client.queue) return error('EXEC without MULTI');
+      const replies = client.queue.map(queued => execute(client, queued));
+      client.queue = null;
+      return array(replies.map(reply => (Buffer.isBuffer(reply) ? reply : Buffer.from(reply))));
+    }
+    if (client.queue) {
+      client.queue.push(args);
+      return simple('QUEUED');
+    }
+
+    return execute(client, args);
+  };
+
+  return net.createServer((socket) => {
+    const client = { socket, channels: new Set(), patterns: new Map(), queue: null };
+    let pending = Buffer.alloc(0);
+    clients.add(client);
+
+    socket.on('data', (chunk) => {
+      const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]));
+      pending = rest;
+
+      commands.forEach(args => {
+        if (args.length === 0) return;
+        const reply = handle(client, args);
+        if (reply !== null) socket.write(reply);
+      });
+    });
+
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  });
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.REDIS_STANDIN_PORT) || 6379;
+  createRedisStandIn().listen(port, () => {
+    console.log(`Redis stand-in broker listening on port ${port}`);
+  });
+}
+
+module.exports = { createRedisStandIn };
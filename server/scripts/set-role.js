@@ -0,0 +1,38 @@
+// Grant or revoke admin rights from the command line, e.g. for the first admin
+//
+//   npm run set-role -- alice@example.com admin
+//   npm run set-role -- alice@example.com user
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+const [email, role = 'admin'] = process.argv.slice(2);
+
+const main = async () => {
+  if (!email || !['user', 'admin'].includes(role)) {
+    console.error('Usage: npm run set-role -- <email> [admin|user]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase(), deletedAt: null },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.username} is now ${user.role === 'admin' ? 'an admin' : 'a regular user'}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -4,12 +4,36 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const connectDB = require('./src/config/database');
+const { setupCluster, shutdownCluster } = require('./src/config/cluster');
 const { setupSocketHandlers } = require('./src/socket/handlers');
+const { startWebhookWorker } = require('./src/services/webhooks');
+const { startExportWorker } = require('./src/services/exports');
+const { startRetentionSweeper } = require('./src/services/retention');
+const { rateLimit } = require('./src/middleware/rateLimit');
+const { getMailTransport } = require('./src/mail');
+const { getRateLimitStore } = require('./src/rateLimit');
+const rateLimits = require('./src/config/rateLimits');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
 const userRoutes = require('./src/routes/users');
 const messageRoutes = require('./src/routes/messages');
+const conversationRoutes = require('./src/routes/conversations');
+const attachmentRoutes = require('./src/routes/attachments');
+const adminRoutes = require('./src/routes/admin');
+const keyRoutes = require('./src/routes/keys');
+const pushRoutes = require('./src/routes/push');
+const botRoutes = require('./src/routes/bots');
+const webhookRoutes = require('./src/routes/webhooks');
+const exportRoutes = require('./src/routes/exports');
+
+// Refuse to start without a usable mail transport, rather than failing on
+// the first email
+getMailTransport();
+
+// Refuse to start with a rate limit store that cannot be used: the limiter
+// lets requests through when its store fails, which would turn it off
+getRateLimitStore();
 
 // Initialize express app
 const app = express();
@@ -24,15 +48,29 @@ const io = socketIo(server, {
   }
 });
 
+// Share rooms and presence with other instances when Redis is configured
+setupCluster(io);
+
+// Make Socket.IO available to routes
+app.set('io', io);
+
 // Connect to MongoDB
 connectDB();
 
 // Middleware
+// Behind a load balancer, take the client IP from X-Forwarded-For so rate
+// limits apply per client rather than per proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use(cors({
   origin: "*", // In production, specify your frontend URL
   credentials: true
 }));
 
+app.use(rateLimit('default', rateLimits.http.default));
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -56,6 +94,14 @@ app.get('/health', (req, res) => {
 app.use('/auth', authRoutes);
 app.use('/users', userRoutes);
 app.use('/messages', messageRoutes);
+app.use('/conversations', conversationRoutes);
+app.use('/attachments', attachmentRoutes);
+app.use('/admin', adminRoutes);
+app.use('/keys', keyRoutes);
+app.use('/push', pushRoutes);
+app.use('/bots', botRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/exports', exportRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -67,31 +113,157 @@ app.get('/', (req, res) => {
       auth: {
         register: 'POST /auth/register',
         login: 'POST /auth/login',
+        loginTwoFactor: 'POST /auth/login/2fa',
+        twoFactorStatus: 'GET /auth/2fa',
+        twoFactorSetup: 'POST /auth/2fa/setup',
+        twoFactorEnable: 'POST /auth/2fa/enable',
+        twoFactorBackupCodes: 'POST /auth/2fa/backup-codes',
+        twoFactorDisable: 'POST /auth/2fa/disable',
+        verifyEmail: 'POST /auth/verify-email',
+        resendVerification: 'POST /auth/resend-verification',
+        forgotPassword: 'POST /auth/forgot-password',
+        resetPassword: 'POST /auth/reset-password',
+        refresh: 'POST /auth/refresh',
         logout: 'POST /auth/logout',
-        me: 'GET /auth/me'
+        me: 'GET /auth/me',
+        sessions: 'GET /auth/sessions',
+        revokeSession: 'DELETE /auth/sessions/:id'
       },
       users: {
         getAll: 'GET /users',
         getById: 'GET /users/:id',
-        updateStatus: 'PUT /users/status'
+        updateStatus: 'PUT /users/status',
+        updateProfile: 'PATCH /users/me',
+        removeAvatar: 'DELETE /users/me/avatar',
+        avatar: 'GET /users/:id/avatar',
+        changePassword: 'PUT /users/me/password',
+        changeEmail: 'PUT /users/me/email',
+        deleteAccount: 'DELETE /users/me',
+        blocked: 'GET /users/blocked',
+        block: 'POST /users/:id/block',
+        unblock: 'DELETE /users/:id/block',
+        report: 'POST /users/:id/report'
       },
       messages: {
-        getConversation: 'GET /messages/conversations/:id/messages',
+        search: 'GET /messages/search?q=&with=&conversationId=&senderId=&from=&to=',
+        getConversation: 'GET /messages/conversations/:id/messages?before=|after=|around=&limit=',
         sendMessage: 'POST /messages',
+        editMessage: 'PATCH /messages/:id',
+        deleteMessage: 'DELETE /messages/:id?scope=me|everyone',
+        getRevisions: 'GET /messages/:id/revisions',
+        getThread: 'GET /messages/:id/thread?after=&limit=',
+        addReaction: 'POST /messages/:id/reactions',
+        removeReaction: 'DELETE /messages/:id/reactions/:emoji',
         markAsRead: 'PUT /messages/:id/read',
         markConversationAsRead: 'PUT /messages/conversations/:id/read'
       },
+      conversations: {
+        list: 'GET /conversations?before=&limit=',
+        create: 'POST /conversations',
+        getById: 'GET /conversations/:id',
+        rename: 'PATCH /conversations/:id',
+        mute: 'PUT /conversations/:id/mute',
+        unmute: 'DELETE /conversations/:id/mute',
+        disappearing: 'PUT /conversations/:id/disappearing',
+        addMembers: 'POST /conversations/:id/members',
+        updateMemberRole: 'PATCH /conversations/:id/members/:userId',
+        removeMember: 'DELETE /conversations/:id/members/:userId'
+      },
+      attachments: {
+        upload: 'POST /attachments',
+        download: 'GET /attachments/:id',
+        thumbnail: 'GET /attachments/:id/thumbnail'
+      },
+      keys: {
+        status: 'GET /keys/me',
+        publish: 'PUT /keys/me',
+        uploadPrekeys: 'POST /keys/me/prekeys',
+        remove: 'DELETE /keys/me',
+        bundle: 'GET /keys/:userId'
+      },
+      push: {
+        config: 'GET /push/config',
+        devices: 'GET /push/devices',
+        registerDevice: 'POST /push/devices',
+        removeDevice: 'DELETE /push/devices/:id',
+        settings: 'GET /push/settings',
+        updateSettings: 'PUT /push/settings',
+        test: 'POST /push/test'
+      },
+      bots: {
+        list: 'GET /bots',
+        create: 'POST /bots',
+        remove: 'DELETE /bots/:id',
+        keys: 'GET /bots/:id/keys',
+        createKey: 'POST /bots/:id/keys',
+        revokeKey: 'DELETE /bots/:id/keys/:keyId',
+        authentication: 'Authorization: Bot <key> on POST /messages, GET /messages/conversations/:id/messages and GET /conversations'
+      },
+      webhooks: {
+        list: 'GET /webhooks',
+        create: 'POST /webhooks',
+        getById: 'GET /webhooks/:id',
+        update: 'PATCH /webhooks/:id',
+        remove: 'DELETE /webhooks/:id',
+        deliveries: 'GET /webhooks/:id/deliveries?status=&before=&limit=',
+        redeliver: 'POST /webhooks/:id/deliveries/:deliveryId/redeliver',
+        ping: 'POST /webhooks/:id/ping',
+        events: ['message.created', 'message.read', 'user.online']
+      },
+      exports: {
+        list: 'GET /exports',
+        create: 'POST /exports',
+        getById: 'GET /exports/:id',
+        download: 'GET /exports/:id/download',
+        remove: 'DELETE /exports/:id'
+      },
+      admin: {
+        listUsers: 'GET /admin/users?q=&status=active|suspended|deleted&page=&limit=',
+        setRole: 'PATCH /admin/users/:id/role',
+        suspend: 'POST /admin/users/:id/suspend',
+        unsuspend: 'DELETE /admin/users/:id/suspend',
+        deleteUser: 'DELETE /admin/users/:id',
+        listReports: 'GET /admin/reports?status=open|reviewed|dismissed|all&page=&limit=',
+        reviewReport: 'PATCH /admin/reports/:id',
+        removeMessage: 'DELETE /admin/messages/:id',
+        retention: 'GET /admin/retention',
+        setRetention: 'PUT /admin/retention',
+        stats: 'GET /admin/stats'
+      },
       socket: {
         events: [
+          'sync',
           'message:send',
-          'message:new', 
+          'message:new',
+          'message:edit',
+          'message:updated',
+          'message:delete',
+          'message:deleted',
+          'message:expired',
+          'reaction:add',
+          'reaction:remove',
+          'message:reaction',
+          'message:thread',
           'typing:start',
           'typing:stop',
+          'message:delivered',
           'message:read',
           'conversation:read',
           'user:online',
           'user:offline',
-          'user:status'
+          'user:status',
+          'status:update',
+          'presence:heartbeat',
+          'user:profile',
+          'keys:identity_changed',
+          'keys:prekeys_low',
+          'conversation:created',
+          'conversation:updated',
+          'conversation:removed',
+          'export:progress',
+          'export:completed',
+          'export:failed',
+          'rate_limited'
         ]
       }
     }
@@ -101,6 +273,15 @@ app.get('/', (req, res) => {
 // Setup Socket.IO handlers
 setupSocketHandlers(io);
 
+// Send queued webhook deliveries and retries
+startWebhookWorker();
+
+// Run queued conversation and account exports
+startExportWorker(io);
+
+// Purge disappearing messages and messages past the retention period
+startRetentionSweeper(io);
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -138,6 +319,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  shutdownCluster().catch(error => console.error('Cluster shutdown error:', error));
   server.close(() => {
     console.log('Process terminated');
   });
@@ -145,6 +327,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  shutdownCluster().catch(error => console.error('Cluster shutdown error:', error));
   server.close(() => {
     console.log('Process terminated');
   });
@@ -0,0 +1,37 @@
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { isRedisConfigured, createRedisClient, getRedisClient } = require('./redis');
+const { usePresenceAdapter, getPresenceAdapter } = require('../presence');
+const createRedisPresence = require('../presence/redis');
+
+// Share Socket.IO rooms and presence between server instances through Redis.
+// Without REDIS_URL everything stays in process. To run several instances
+// locally, start a Redis server (or `npm run broker` for the in-memory
+// stand-in in scripts/redis-stand-in.js) and point each instance at it:
+//
+//   docker run --rm -p 6379:6379 redis:7
+//   REDIS_URL=redis://127.0.0.1:6379 PORT=5001 npm start
+//   REDIS_URL=redis://127.0.0.1:6379 PORT=5002 npm start
+const setupCluster = (io) => {
+  if (!isRedisConfigured()) {
+    console.log('Cluster: REDIS_URL not set, using in-memory presence');
+    return;
+  }
+
+  const pubClient = getRedisClient();
+  const subClient = createRedisClient();
+
+  io.adapter(createAdapter(pubClient, subClient));
+  usePresenceAdapter(createRedisPresence({
+    client: pubClient,
+    ttlSeconds: parseInt(process.env.PRESENCE_TTL_SECONDS) || undefined
+  }));
+
+  console.log('Cluster: Socket.IO and presence shared through Redis');
+};
+
+// Remove this instance's sockets from shared presence before exiting
+const shutdownCluster = () => {
+  return getPresenceAdapter().close();
+};
+
+module.exports = { setupCluster, shutdownCluster };
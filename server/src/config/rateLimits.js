@@ -0,0 +1,65 @@
+// Token bucket limits: a client may burst up to `capacity` requests, then
+// gets `refillPerSecond` more every second
+const perMinute = (count) => count / 60;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  // "memory" keeps buckets per instance, "redis" shares them through REDIS_URL
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+
+  http: {
+    // Every request, per IP address
+    default: {
+      capacity: envNumber('RATE_LIMIT_HTTP_BURST', 100),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_HTTP_PER_MINUTE', 300))
+    },
+    login: {
+      capacity: envNumber('RATE_LIMIT_LOGIN_BURST', 5),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_LOGIN_PER_MINUTE', 5))
+    },
+    register: {
+      capacity: envNumber('RATE_LIMIT_REGISTER_BURST', 3),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_REGISTER_PER_MINUTE', 1))
+    },
+    // Refresh token exchanges, a device refreshes about once per access token lifetime
+    refresh: {
+      capacity: envNumber('RATE_LIMIT_REFRESH_BURST', 10),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_REFRESH_PER_MINUTE', 10))
+    },
+    // Requests that send email: verification resends and password resets
+    email: {
+      capacity: envNumber('RATE_LIMIT_EMAIL_BURST', 3),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_EMAIL_PER_MINUTE', 1))
+    },
+    // Key bundle fetches, per user, each one uses up a one-time prekey
+    keyClaims: {
+      capacity: envNumber('RATE_LIMIT_KEY_CLAIMS_BURST', 20),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_KEY_CLAIMS_PER_MINUTE', 10))
+    },
+    // Requests made with a bot API key, per key
+    bots: {
+      capacity: envNumber('RATE_LIMIT_BOTS_BURST', 30),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_BOTS_PER_MINUTE', 60))
+    }
+  },
+
+  // Per user and event, across all of the user's devices
+  socket: {
+    default: { capacity: 60, refillPerSecond: 10 },
+    'message:send': {
+      capacity: envNumber('RATE_LIMIT_MESSAGES_BURST', 20),
+      refillPerSecond: perMinute(envNumber('RATE_LIMIT_MESSAGES_PER_MINUTE', 60))
+    },
+    'typing:start': { capacity: 10, refillPerSecond: 1 },
+    'typing:stop': { capacity: 10, refillPerSecond: 1 },
+    'reaction:add': { capacity: 20, refillPerSecond: 1 },
+    'reaction:remove': { capacity: 20, refillPerSecond: 1 },
+    // Clients send a heartbeat about every 30 seconds from each device
+    'presence:heartbeat': { capacity: 10, refillPerSecond: perMinute(12) },
+    'status:update': { capacity: 10, refillPerSecond: perMinute(10) }
+  }
+};
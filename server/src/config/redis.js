@@ -0,0 +1,31 @@
+const Redis = require('ioredis');
+
+let client;
+
+// Redis is optional; without REDIS_URL the server runs as a single instance
+const isRedisConfigured = () => Boolean(process.env.REDIS_URL);
+
+// Create a new Redis connection, e.g. for a pub/sub subscriber
+const createRedisClient = () => {
+  const redis = new Redis(process.env.REDIS_URL);
+
+  redis.on('error', (error) => {
+    console.error('Redis connection error:', error.message);
+  });
+
+  return redis;
+};
+
+// Get the shared connection used for regular commands
+const getRedisClient = () => {
+  if (!client) {
+    client = createRedisClient();
+  }
+  return client;
+};
+
+module.exports = {
+  isRedisConfigured,
+  createRedisClient,
+  getRedisClient
+};
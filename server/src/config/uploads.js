@@ -0,0 +1,26 @@
+// Attachment and avatar upload limits and accepted file types
+const imageMimeTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+module.exports = {
+  maxFileSize: (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024,
+  maxAttachmentsPerMessage: 10,
+  thumbnailSize: 320,
+  maxAvatarSize: (parseInt(process.env.AVATAR_MAX_SIZE_MB) || 5) * 1024 * 1024,
+  // Avatars are stored as square WebP images of this size
+  avatarSize: 256,
+  imageMimeTypes,
+  allowedMimeTypes: [
+    ...imageMimeTypes,
+    'application/pdf',
+    'application/zip',
+    'text/plain',
+    'text/csv',
+    'audio/mpeg',
+    'audio/ogg',
+    'video/mp4',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ]
+};
@@ -0,0 +1,41 @@
+// Helpers shared by the plain text and HTML export writers
+
+// "2026-10-19 14:03:12 UTC"
+const formatTime = (date) => new Date(date).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Name a conversation is listed under: the group name, or the other member of a direct chat
+const conversationTitle = (conversation, ownerId) => {
+  if (conversation.type === 'group') {
+    return conversation.name || 'Group';
+  }
+
+  const partner = conversation.members.find(member => member.id.toString() !== ownerId.toString());
+  return partner ? partner.username : 'Direct messages';
+};
+
+// Text shown for a message body, with placeholders where there is no readable text
+const messageText = (message) => {
+  if (message.deleted) return '[This message was deleted]';
+  if (message.type === 'encrypted') return '[End-to-end encrypted message]';
+  return message.text || '';
+};
+
+// Path of an attachment inside an export archive
+const attachmentPath = (attachment) => {
+  const safeName = attachment.fileName.replace(/[^\w.-]+/g, '_').slice(0, 100);
+  return `attachments/${attachment.id}-${safeName}`;
+};
+
+module.exports = {
+  formatTime,
+  formatSize,
+  conversationTitle,
+  messageText,
+  attachmentPath
+};
@@ -0,0 +1,173 @@
+const { once } = require('events');
+const { Readable, PassThrough } = require('stream');
+const archiver = require('archiver');
+const { formatTime, formatSize, conversationTitle, messageText, attachmentPath } = require('./format');
+
+const STYLES = `
+body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2em auto; padding: 0 1em; color: #222; }
+h1 { font-size: 1.4em; }
+.meta { color: #666; font-size: 0.9em; }
+.message { border-bottom: 1px solid #eee; padding: 0.6em 0; }
+.message .sender { font-weight: bold; }
+.message .time { color: #888; font-size: 0.8em; margin-left: 0.5em; }
+.message .body { white-space: pre-wrap; margin-top: 0.2em; }
+.message .placeholder { color: #888; font-style: italic; }
+.quote { border-left: 3px solid #ccc; padding-left: 0.6em; color: #666; font-size: 0.9em; }
+.attachment img { max-width: 100%; max-height: 400px; display: block; margin-top: 0.4em; }
+.reactions { font-size: 0.9em; color: #555; }
+`;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const pageStart = (title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+`;
+
+const PAGE_END = '</body>\n</html>\n';
+
+const page = (title, body) => `${pageStart(title)}${body}\n${PAGE_END}`;
+
+const renderMessage = (message) => {
+  const parts = [
+    `<div class="message" id="m-${message.id}">`,
+    `<span class="sender">${escapeHtml(message.sender.username)}</span>`,
+    `<span class="time">${formatTime(message.createdAt)}${message.edited && !message.deleted ? ' (edited)' : ''}</span>`
+  ];
+
+  if (message.replyTo) {
+    const quote = message.replyTo.deleted
+      ? message.replyTo.placeholder
+      : `${message.replyTo.sender ? `${message.replyTo.sender.username}: ` : ''}${message.replyTo.text || ''}`;
+    parts.push(`<div class="quote"><a href="#m-${message.replyTo.id}">${escapeHtml(quote)}</a></div>`);
+  }
+
+  const readable = !message.deleted && message.type !== 'encrypted';
+  parts.push(readable
+    ? `<div class="body">${escapeHtml(message.text || '')}</div>`
+    : `<div class="body placeholder">${escapeHtml(messageText(message))}</div>`);
+
+  for (const attachment of message.attachments) {
+    const href = `../${attachmentPath(attachment)}`;
+    parts.push(attachment.kind === 'image'
+      ? `<div class="attachment"><a href="${escapeHtml(href)}"><img src="${escapeHtml(href)}" alt="${escapeHtml(attachment.fileName)}"></a></div>`
+      : `<div class="attachment"><a href="${escapeHtml(href)}">${escapeHtml(attachment.fileName)}</a> (${formatSize(attachment.size)})</div>`);
+  }
+
+  if (message.reactions.length > 0) {
+    const reactions = message.reactions.map(reaction => `${reaction.emoji} ${reaction.count}`).join(' ');
+    parts.push(`<div class="reactions">${escapeHtml(reactions)}</div>`);
+  }
+
+  parts.push('</div>\n');
+  return parts.join('\n');
+};
+
+// One conversation's page. The attachments it links to are collected, to be
+// added to the archive once the page is written.
+async function* generateConversation(conversation, messages, title, attachments) {
+  const members = conversation.members.map(member => member.username).join(', ');
+
+  yield pageStart(title);
+  yield `<p class="meta"><a href="../index.html">All conversations</a></p>\n`;
+  yield `<h1>${escapeHtml(title)}</h1>\n<p class="meta">Members: ${escapeHtml(members)}</p>\n`;
+
+  for await (const message of messages) {
+    attachments.push(...message.attachments);
+    yield renderMessage(message);
+  }
+
+  yield PAGE_END;
+}
+
+const renderIndex = (source, entries) => {
+  const account = source.account ? `
+<h2>Account</h2>
+<p>Username: ${escapeHtml(source.account.username)}<br>
+Email: ${escapeHtml(source.account.email)}<br>
+Display name: ${escapeHtml(source.account.displayName)}<br>
+Joined: ${formatTime(source.account.createdAt)}</p>
+${source.account.bio ? `<p>${escapeHtml(source.account.bio)}</p>` : ''}` : '';
+
+  const list = entries.map(({ path, title, type }) => (
+    `<li><a href="${escapeHtml(path)}">${escapeHtml(title)}</a> <span class="meta">${type === 'group' ? 'group' : 'direct'}</span></li>`
+  )).join('\n');
+
+  return page(`Chat export for ${source.owner.username}`, `<h1>Chat export for ${escapeHtml(source.owner.username)}</h1>
+<p class="meta">Exported ${formatTime(source.exportedAt)}</p>
+${account}
+<h2>Conversations</h2>
+<ul>
+${list || '<li>No conversations</li>'}
+</ul>`);
+};
+
+// Add an entry and wait until the archive has written it, so only one
+// source stream is open at a time
+const appendEntry = async (archive, source, name) => {
+  const written = once(archive, 'entry');
+  archive.append(source, { name });
+  await written;
+};
+
+// A stored attachment that cannot be read is written empty rather than failing the export
+const tolerantStream = (stream) => {
+  const output = new PassThrough();
+  stream.on('error', (error) => {
+    console.error('Export attachment read error:', error.message);
+    output.end();
+  });
+  return stream.pipe(output);
+};
+
+// Write the export as a zip of HTML pages, one per conversation, with the
+// attachments they show
+const render = (source) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  (async () => {
+    const entries = [];
+    const added = new Set();
+
+    for await (const { conversation, messages } of source.conversations) {
+      const title = conversationTitle(conversation, source.owner.id);
+      const path = `conversations/${conversation.id}.html`;
+      const attachments = [];
+
+      await appendEntry(archive, Readable.from(generateConversation(conversation, messages, title, attachments)), path);
+      entries.push({ path, title, type: conversation.type });
+
+      for (const attachment of attachments) {
+        const name = attachmentPath(attachment);
+        if (added.has(name)) continue;
+        added.add(name);
+
+        const stream = await source.openAttachment(attachment);
+        if (stream) {
+          await appendEntry(archive, tolerantStream(stream), name);
+        }
+      }
+    }
+
+    await appendEntry(archive, renderIndex(source, entries), 'index.html');
+    await archive.finalize();
+  })().catch(error => archive.destroy(error));
+
+  return archive;
+};
+
+module.exports = {
+  extension: 'zip',
+  contentType: 'application/zip',
+  render
+};
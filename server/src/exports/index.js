@@ -0,0 +1,22 @@
+const json = require('./json');
+const text = require('./text');
+const html = require('./html');
+
+// Export writers implement:
+//   extension, contentType
+//   render(source) -> Readable of the export file
+// where source is { exportedAt, scope, owner, account, conversations, openAttachment }:
+// conversations yields { conversation, messages } with messages formatted for
+// the owner, and openAttachment(attachment) resolves to a Readable or null.
+const writers = { json, text, html };
+
+// Get the writer for an export format
+const getExportWriter = (format) => {
+  if (!writers[format]) {
+    throw new Error(`Unknown export format "${format}". Supported: ${Object.keys(writers).join(', ')}`);
+  }
+
+  return writers[format];
+};
+
+module.exports = { getExportWriter };
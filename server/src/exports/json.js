@@ -0,0 +1,40 @@
+const { Readable } = require('stream');
+
+// Indent a JSON value nested `depth` levels deep in the document
+const nested = (value, depth) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${'  '.repeat(depth)}`);
+
+// Write the export as one JSON document, one conversation and message at a time
+async function* generate(source) {
+  yield '{\n';
+  yield `  "exportedAt": ${JSON.stringify(source.exportedAt)},\n`;
+  yield `  "scope": ${JSON.stringify(source.scope)},\n`;
+  yield `  "owner": ${nested(source.owner, 1)},\n`;
+  if (source.account) {
+    yield `  "account": ${nested(source.account, 1)},\n`;
+  }
+  yield '  "conversations": [';
+
+  let firstConversation = true;
+  for await (const { conversation, messages } of source.conversations) {
+    yield `${firstConversation ? '' : ','}\n    {\n`;
+    yield `      "conversation": ${nested(conversation, 3)},\n`;
+    yield '      "messages": [';
+
+    let firstMessage = true;
+    for await (const message of messages) {
+      yield `${firstMessage ? '' : ','}\n        ${JSON.stringify(message)}`;
+      firstMessage = false;
+    }
+
+    yield `${firstMessage ? '' : '\n      '}]\n    }`;
+    firstConversation = false;
+  }
+
+  yield `${firstConversation ? '' : '\n  '}]\n}\n`;
+}
+
+module.exports = {
+  extension: 'json',
+  contentType: 'application/json; charset=utf-8',
+  render: (source) => Readable.from(generate(source))
+};
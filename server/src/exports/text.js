@@ -0,0 +1,54 @@
+const { Readable } = require('stream');
+const { formatTime, formatSize, conversationTitle, messageText } = require('./format');
+
+const RULE = '='.repeat(72);
+
+// Write the export as a plain text transcript, one line per message
+async function* generate(source) {
+  yield `Chat export for ${source.owner.username}\n`;
+  yield `Exported ${formatTime(source.exportedAt)}\n`;
+
+  if (source.account) {
+    const { account } = source;
+    yield `\nAccount\n  Username: ${account.username}\n  Email: ${account.email}\n`;
+    yield `  Display name: ${account.displayName}\n  Joined: ${formatTime(account.createdAt)}\n`;
+    if (account.bio) {
+      yield `  Bio: ${account.bio}\n`;
+    }
+  }
+
+  for await (const { conversation, messages } of source.conversations) {
+    const title = conversationTitle(conversation, source.owner.id);
+    const members = conversation.members.map(member => member.username).join(', ');
+
+    yield `\n${RULE}\n${conversation.type === 'group' ? 'Group' : 'Direct messages'}: ${title}\n`;
+    yield `Members: ${members}\n${RULE}\n`;
+
+    for await (const message of messages) {
+      let line = `[${formatTime(message.createdAt)}] ${message.sender.username}: ${messageText(message)}`;
+      if (message.edited && !message.deleted) line += ' (edited)';
+      yield `${line}\n`;
+
+      if (message.replyTo) {
+        const quote = message.replyTo.deleted
+          ? message.replyTo.placeholder
+          : `${message.replyTo.sender ? `${message.replyTo.sender.username}: ` : ''}${message.replyTo.text || ''}`;
+        yield `    in reply to: ${quote}\n`;
+      }
+
+      for (const attachment of message.attachments) {
+        yield `    attachment: ${attachment.fileName} (${formatSize(attachment.size)})\n`;
+      }
+
+      if (message.reactions.length > 0) {
+        yield `    reactions: ${message.reactions.map(reaction => `${reaction.emoji} ${reaction.count}`).join('  ')}\n`;
+      }
+    }
+  }
+}
+
+module.exports = {
+  extension: 'txt',
+  contentType: 'text/plain; charset=utf-8',
+  render: (source) => Readable.from(generate(source))
+};
@@ -0,0 +1,18 @@
+// Mail transport that prints messages to the console, for development
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log([
+      '--- Outgoing email ---',
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      '',
+      text,
+      '----------------------'
+    ].join('\n'));
+  }
+});
+
+module.exports = createConsoleTransport;
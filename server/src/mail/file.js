@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mail transport that writes each message as a JSON file, so development
+// tools and tests can read the links it contains
+const createFileTransport = ({ dir }) => ({
+  name: 'file',
+
+  async send(mail) {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const message = { ...mail, sentAt: new Date().toISOString() };
+
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,54 @@
+const path = require('path');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createSmtpTransport = require('./smtp');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Chat <no-reply@localhost>';
+
+// Mail transports implement:
+//   send({ from, to, subject, text, html }) -> Promise
+// and are selected with the MAIL_TRANSPORT environment variable.
+const transports = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({
+    dir: process.env.MAIL_DIR || path.join(__dirname, '../../mail-outbox')
+  }),
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  })
+};
+
+// Mail is printed to the console unless told otherwise. Production servers
+// have to choose a transport, so reset and verification tokens never end up
+// in the logs by accident.
+const DEFAULT_TRANSPORT = process.env.NODE_ENV === 'production' ? null : 'console';
+
+let transport;
+
+// Get the configured mail transport
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+
+    if (!name) {
+      throw new Error(`MAIL_TRANSPORT is required in production. Supported: ${Object.keys(transports).join(', ')}`);
+    }
+
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}". Supported: ${Object.keys(transports).join(', ')}`);
+    }
+
+    transport = transports[name]();
+  }
+
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = (mail) => getMailTransport().send({ from: DEFAULT_FROM, ...mail });
+
+module.exports = { getMailTransport, sendMail };
@@ -0,0 +1,40 @@
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Build a plain text and HTML email around one call-to-action link
+const linkEmail = ({ subject, greeting, intro, action, link, outro }) => ({
+  subject,
+  text: `${greeting}\n\n${intro}\n\n${link}\n\n${outro}\n`,
+  html: [
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`,
+    `<p>${escapeHtml(outro)}</p>`
+  ].join('\n')
+});
+
+const verificationEmail = ({ username, token, expiresInHours }) => linkEmail({
+  subject: 'Verify your email address',
+  greeting: `Hi ${username},`,
+  intro: 'Please confirm your email address by opening this link:',
+  action: 'Verify email address',
+  link: `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+  outro: `The link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+});
+
+const passwordResetEmail = ({ username, token, expiresInMinutes }) => linkEmail({
+  subject: 'Reset your password',
+  greeting: `Hi ${username},`,
+  intro: 'Someone asked to reset the password for your account. To choose a new password, open this link:',
+  action: 'Reset password',
+  link: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+  outro: `The link expires in ${expiresInMinutes} minutes and can be used once. If you did not ask for this, you can ignore this email.`
+});
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail
+};
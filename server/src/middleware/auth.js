@@ -1,8 +1,75 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('../utils/tokens');
+
+// How often a key's last use is written
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Verify an access token and load its user and session, or the reason it
+// was refused when the session has been revoked or the user is gone
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed cannot be revoked, so refuse them
+  if (!decoded.sessionId) {
+    return { reason: 'Invalid token.' };
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    return { reason: 'Session has been revoked.' };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || user.deletedAt) {
+    return { reason: 'Invalid token. User not found.' };
+  }
+
+  if (user.suspendedAt) {
+    return { reason: 'Account suspended.' };
+  }
+
+  return { user, session };
+};
+
+// Verify a bot API key and load its bot, or the reason and status it was refused with
+const verifyApiKey = async (key, scope) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    return { reason: 'Invalid or revoked API key.', status: 401 };
+  }
+
+  const bot = await User.findById(apiKey.bot).select('-password');
+  if (!bot || !bot.isBot || bot.deletedAt) {
+    return { reason: 'Invalid API key. Bot not found.', status: 401 };
+  }
+
+  if (bot.suspendedAt) {
+    return { reason: 'Account suspended.', status: 401 };
+  }
+
+  if (!apiKey.hasScope(scope)) {
+    return { reason: `This API key does not have the ${scope} scope.`, status: 403 };
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+  }
+
+  return { bot, apiKey };
+};
 
 const auth = async (req, res, next) => {
   try {
+    if (req.header('Authorization')?.startsWith('Bot ')) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot be used for this endpoint.'
+      });
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
@@ -12,17 +79,17 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, session, reason } = await verifyAccessToken(token);
     
     if (!user) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid token. User not found.' 
+        message: reason
       });
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -47,6 +114,48 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Authenticate a user's access token like auth, or a bot API key sent as
+// "Authorization: Bot <key>" that grants the given scope. Bots have req.apiKey set.
+const authOrApiKey = (scope) => async (req, res, next) => {
+  const header = req.header('Authorization') || '';
+  if (!header.startsWith('Bot ')) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const { bot, apiKey, reason, status } = await verifyApiKey(header.slice(4).trim(), scope);
+
+    if (!bot) {
+      return res.status(status).json({
+        success: false,
+        message: reason
+      });
+    }
+
+    req.user = bot;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
+// Allow admins only, use after auth
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.isAdmin()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admins only.'
+    });
+  }
+
+  next();
+};
+
 // Socket authentication middleware
 const socketAuth = async (socket, next) => {
   try {
@@ -56,15 +165,15 @@ const socketAuth = async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, session, reason } = await verifyAccessToken(token);
     
     if (!user) {
-      return next(new Error('Authentication error: User not found'));
+      return next(new Error(`Authentication error: ${reason}`));
     }
 
     socket.userId = user._id.toString();
     socket.user = user;
+    socket.sessionId = session._id.toString();
     next();
   } catch (error) {
     console.error('Socket auth error:', error);
@@ -72,4 +181,4 @@ const socketAuth = async (socket, next) => {
   }
 };
 
-module.exports = { auth, socketAuth };
+module.exports = { auth, authOrApiKey, requireAdmin, socketAuth };
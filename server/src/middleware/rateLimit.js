@@ -0,0 +1,75 @@
+const rateLimits = require('../config/rateLimits');
+const { consume } = require('../rateLimit');
+
+const retryAfterSeconds = (retryAfterMs) => Math.max(1, Math.ceil(retryAfterMs / 1000));
+
+// Token bucket limiter for Express routes. Buckets are keyed by client IP
+// unless a keyGenerator is given; requests over the limit get a 429 with
+// a Retry-After header.
+const rateLimit = (name, limit, { keyGenerator = (req) => req.ip } = {}) => async (req, res, next) => {
+  let result;
+
+  try {
+    result = await consume(`http:${name}:${keyGenerator(req)}`, limit);
+  } catch (error) {
+    // Never lock everybody out because the limiter store is unavailable
+    console.error('Rate limit error:', error);
+    return next();
+  }
+
+  res.set('X-RateLimit-Limit', String(limit.capacity));
+  res.set('X-RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) {
+    const retryAfter = retryAfterSeconds(result.retryAfterMs);
+    res.set('Retry-After', String(retryAfter));
+
+    return res.status(429).json({
+      success: false,
+      message: 'Too many requests, please try again later',
+      retryAfter
+    });
+  }
+
+  next();
+};
+
+// Limit requests made with a bot API key per key, use after authOrApiKey.
+// Requests with a user's access token pass through.
+const apiKeyRateLimit = (limit) => {
+  const limiter = rateLimit('bots', limit, { keyGenerator: (req) => req.apiKey._id.toString() });
+  return (req, res, next) => (req.apiKey ? limiter(req, res, next) : next());
+};
+
+// Per-packet Socket.IO middleware limiting each event per user, across all
+// of the user's devices. Dropped events are answered with a rate_limited
+// event, and with an error through the ack callback when there is one.
+const socketRateLimit = (socket) => async ([event, ...args], next) => {
+  const limit = rateLimits.socket[event] || rateLimits.socket.default;
+  let result;
+
+  try {
+    result = await consume(`socket:${event}:${socket.userId}`, limit);
+  } catch (error) {
+    console.error('Socket rate limit error:', error);
+    return next();
+  }
+
+  if (result.allowed) return next();
+
+  const payload = {
+    code: 'rate_limited',
+    event,
+    message: 'Too many requests, please slow down',
+    retryAfter: retryAfterSeconds(result.retryAfterMs)
+  };
+
+  socket.emit('rate_limited', payload);
+
+  const callback = args[args.length - 1];
+  if (typeof callback === 'function') {
+    callback({ success: false, error: payload });
+  }
+};
+
+module.exports = { rateLimit, apiKeyRateLimit, socketRateLimit };
@@ -0,0 +1,48 @@
+const multer = require('multer');
+const { AppError } = require('../utils/errors');
+
+// Parse a single multipart file field into memory, reporting upload errors as
+// JSON. Requests without a file, or that are not multipart, pass through.
+const singleFileUpload = (field, { maxFileSize, allowedMimeTypes }) => {
+  // Keep uploads in memory so images can be validated and processed before storing
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize,
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedMimeTypes.includes(file.mimetype)) {
+        return cb(new AppError(415, `File type ${file.mimetype} is not allowed`));
+      }
+      cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof AppError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File cannot exceed ${maxFileSize / (1024 * 1024)}MB`
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    });
+  };
+};
+
+module.exports = { singleFileUpload };
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// What a key lets a bot do
+const API_KEY_SCOPES = ['messages:read', 'messages:write', 'conversations:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  bot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Bot is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // Start of the key, shown so owners can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the key, the key itself is only shown once when created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scopes must be among: ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ bot: 1, revokedAt: 1 });
+
+// Check whether the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Check whether the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Format key for API responses
+apiKeySchema.methods.toClientJSON = function() {
+  return {
+    id: this._id,
+    botId: this.bot,
+    name: this.name || null,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt || null,
+    expiresAt: this.expiresAt || null,
+    revokedAt: this.revokedAt || null
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
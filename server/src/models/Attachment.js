@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  // Set once the attachment is sent in a message
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ uploader: 1, message: 1 });
+
+// Format an attachment summary for API and socket payloads
+const formatAttachment = (summary) => ({
+  id: summary._id,
+  kind: summary.kind,
+  fileName: summary.fileName,
+  mimeType: summary.mimeType,
+  size: summary.size,
+  width: summary.width,
+  height: summary.height,
+  url: `/attachments/${summary._id}`,
+  thumbnailUrl: summary.hasThumbnail ? `/attachments/${summary._id}/thumbnail` : null
+});
+
+attachmentSchema.statics.format = formatAttachment;
+
+// Summary embedded in messages
+attachmentSchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    kind: this.kind,
+    fileName: this.fileName,
+    mimeType: this.mimeType,
+    size: this.size,
+    width: this.width,
+    height: this.height,
+    hasThumbnail: Boolean(this.thumbnailKey)
+  };
+};
+
+attachmentSchema.methods.toClientJSON = function() {
+  return formatAttachment(this.toSummary());
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user is required']
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReadAt: {
+    type: Date
+  },
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  // Muted members get no notifications, until mutedUntil when set
+  muted: {
+    type: Boolean,
+    default: false
+  },
+  mutedUntil: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    default: 'direct'
+  },
+  name: {
+    type: String,
+    required: [function() { return this.type === 'group'; }, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Conversation name cannot exceed 100 characters']
+  },
+  members: [memberSchema],
+  // Sorted pair of user ids, so each pair of users has a single direct conversation
+  directKey: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date
+  },
+  // Latest message or, for new groups, creation time; orders conversation lists
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Disappearing messages: new messages expire this many seconds after they are sent
+  messageTtl: {
+    type: Number,
+    min: [1, 'Disappearing message timer must be positive']
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ 'members.user': 1, lastActivityAt: -1, _id: -1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+
+const directKeyFor = (userId1, userId2) => {
+  return [userId1.toString(), userId2.toString()].sort().join(':');
+};
+
+// Get member entry for a user
+conversationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => (member.user._id || member.user).toString() === userId.toString());
+};
+
+// Check whether a user belongs to the conversation
+conversationSchema.methods.isMember = function(userId) {
+  return Boolean(this.getMember(userId));
+};
+
+// Check whether a user is an admin of the conversation
+conversationSchema.methods.isAdmin = function(userId) {
+  const member = this.getMember(userId);
+  return Boolean(member && member.role === 'admin');
+};
+
+// Check whether a member has muted the conversation
+conversationSchema.methods.isMutedBy = function(userId) {
+  const member = this.getMember(userId);
+  return Boolean(member && member.muted && (!member.mutedUntil || member.mutedUntil > new Date()));
+};
+
+// Remove a member, promoting the longest-standing member when the last admin leaves
+conversationSchema.methods.removeMember = function(userId) {
+  const member = this.getMember(userId);
+  if (!member) return false;
+
+  this.members.pull(member);
+
+  const hasAdmin = this.members.some(entry => entry.role === 'admin');
+  if (!hasAdmin && this.members.length > 0) {
+    this.members[0].role = 'admin';
+  }
+
+  return true;
+};
+
+// Get ids of all members as strings
+conversationSchema.methods.memberIds = function() {
+  return this.members.map(member => (member.user._id || member.user).toString());
+};
+
+// Format conversation for API and socket payloads
+conversationSchema.methods.toClientJSON = function(viewerId) {
+  const viewer = viewerId && this.getMember(viewerId);
+
+  return {
+    id: this._id,
+    type: this.type,
+    name: this.name,
+    members: this.members.map(member => ({
+      id: member.user._id || member.user,
+      username: member.user.username,
+      role: member.role,
+      joinedAt: member.joinedAt
+    })),
+    createdBy: this.createdBy,
+    lastMessageAt: this.lastMessageAt,
+    lastActivityAt: this.lastActivityAt,
+    messageTtl: this.messageTtl || null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    ...(viewer && {
+      unreadCount: viewer.unreadCount,
+      lastReadAt: viewer.lastReadAt,
+      muted: this.isMutedBy(viewerId),
+      mutedUntil: this.isMutedBy(viewerId) ? viewer.mutedUntil || null : null
+    })
+  };
+};
+
+// Static method to list a user's conversations by most recent activity. Direct
+// conversations only show up once a message was sent. A last message that
+// expired is left out of the preview. Pass the last entry of the previous page
+// as `before` to get the next page.
+conversationSchema.statics.listForUser = function(userId, { before, limit = 20 } = {}) {
+  const filter = {
+    'members.user': userId,
+    $or: [{ type: 'group' }, { lastMessage: { $ne: null } }]
+  };
+
+  if (before) {
+    filter.$and = [{
+      $or: [
+        { lastActivityAt: { $lt: before.lastActivityAt } },
+        { lastActivityAt: before.lastActivityAt, _id: { $lt: before.id } }
+      ]
+    }];
+  }
+
+  return this.find(filter)
+  .populate('members.user', 'username isOnline lastSeen presence idle')
+  .populate({
+    path: 'lastMessage',
+    match: () => mongoose.model('Message').notExpired(),
+    populate: { path: 'sender', select: 'username' }
+  })
+  .sort({ lastActivityAt: -1, _id: -1 })
+  .limit(limit);
+};
+
+// Static method to find or create the direct conversation between two users
+conversationSchema.statics.findOrCreateDirect = async function(userId1, userId2) {
+  const directKey = directKeyFor(userId1, userId2);
+
+  const existing = await this.findOne({ directKey });
+  if (existing) {
+    return { conversation: existing, created: false };
+  }
+
+  try {
+    const conversation = await this.create({
+      type: 'direct',
+      directKey,
+      createdBy: userId1,
+      members: [{ user: userId1 }, { user: userId2 }]
+    });
+    return { conversation, created: true };
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return { conversation: await this.findOne({ directKey }), created: false };
+    }
+    throw error;
+  }
+};
+
+// Static method to resolve a conversation id, or another user's id for a
+// direct chat, into a conversation the user belongs to. It only looks
+// conversations up, direct ones are started by sending the first message:
+// for a user without one yet it resolves to { conversation: null }.
+conversationSchema.statics.resolveForUser = async function(userId, id) {
+  const conversation = await this.findById(id);
+  if (conversation) {
+    return conversation.isMember(userId) ? { conversation } : null;
+  }
+
+  if (id.toString() === userId.toString()) {
+    return null;
+  }
+
+  const otherUser = await mongoose.model('User').exists({ _id: id, deletedAt: null });
+  if (!otherUser) {
+    return null;
+  }
+
+  return { conversation: await this.findOne({ directKey: directKeyFor(userId, id) }) };
+};
+
+// Static method to record a new message and bump unread counts for everyone but the sender
+conversationSchema.statics.recordMessage = function(message) {
+  return this.updateOne(
+    { _id: message.conversation },
+    {
+      lastMessage: message._id,
+      lastMessageAt: message.createdAt,
+      lastActivityAt: message.createdAt,
+      $inc: { 'members.$[recipient].unreadCount': 1 }
+    },
+    { arrayFilters: [{ 'recipient.user': { $ne: message.sender } }] }
+  );
+};
+
+// Static method to reset a member's unread count
+conversationSchema.statics.markReadBy = function(conversationId, userId) {
+  return this.updateOne(
+    { _id: conversationId, 'members.user': userId },
+    { 'members.$.unreadCount': 0, 'members.$.lastReadAt': new Date() }
+  );
+};
+
+// Static method to lower a member's unread count after a single message is read
+conversationSchema.statics.decrementUnread = function(conversationId, userId) {
+  return this.updateOne(
+    { _id: conversationId, members: { $elemMatch: { user: userId, unreadCount: { $gt: 0 } } } },
+    { $inc: { 'members.$.unreadCount': -1 } }
+  );
+};
+
+// Static method to lower unread counts for a removed message, skipping members who already read it
+conversationSchema.statics.discountUnread = function(conversationId, excludedUserIds) {
+  return this.updateOne(
+    { _id: conversationId },
+    { $inc: { 'members.$[member].unreadCount': -1 } },
+    { arrayFilters: [{ 'member.user': { $nin: excludedUserIds }, 'member.unreadCount': { $gt: 0 } }] }
+  );
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
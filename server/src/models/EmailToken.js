@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email to verify an address or reset a password
+const emailTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  // SHA-256 of the token, the token itself is only in the email
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Address the token was sent to, verification only counts for that address
+  email: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+emailTokenSchema.index({ tokenHash: 1 }, { unique: true });
+emailTokenSchema.index({ user: 1, purpose: 1 });
+// Remove tokens once they expire
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailToken', emailTokenSchema);
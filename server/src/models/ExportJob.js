@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const EXPORT_SCOPES = ['conversation', 'account'];
+const EXPORT_FORMATS = ['json', 'text', 'html'];
+const EXPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A user's request to export a conversation or their whole account. A worker
+// writes the file in the background and it can be downloaded until expiresAt.
+const exportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: EXPORT_SCOPES,
+      message: `Scope must be one of: ${EXPORT_SCOPES.join(', ')}`
+    },
+    required: [true, 'Scope is required']
+  },
+  // Only set for conversation exports
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  format: {
+    type: String,
+    enum: {
+      values: EXPORT_FORMATS,
+      message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    },
+    required: [true, 'Format is required']
+  },
+  status: {
+    type: String,
+    enum: EXPORT_STATUSES,
+    default: 'queued'
+  },
+  // Messages written so far, out of the messages to export
+  progress: {
+    processed: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Set while a worker runs the export, so a crashed instance's job is picked up again
+  lockedUntil: {
+    type: Date
+  },
+  fileKey: {
+    type: String
+  },
+  fileName: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  fileSize: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // The file is removed, and the job with it, after this
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ expiresAt: 1 }, { sparse: true });
+
+// Format export for API and socket payloads
+exportJobSchema.methods.toClientJSON = function() {
+  const { processed, total } = this.progress;
+
+  return {
+    id: this._id,
+    scope: this.scope,
+    conversationId: this.conversation || null,
+    format: this.format,
+    status: this.status,
+    progress: {
+      processed,
+      total,
+      percent: this.status === 'completed' ? 100 : total > 0 ? Math.floor((processed / total) * 100) : 0
+    },
+    fileName: this.fileName || null,
+    fileSize: this.fileSize || null,
+    error: this.error || null,
+    downloadUrl: this.status === 'completed' ? `/exports/${this._id}/download` : null,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt || null,
+    completedAt: this.completedAt || null,
+    expiresAt: this.expiresAt || null
+  };
+};
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+ExportJob.SCOPES = EXPORT_SCOPES;
+ExportJob.FORMATS = EXPORT_FORMATS;
+
+module.exports = ExportJob;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Public keys are opaque base64 strings, the server never sees private keys
+const publicKey = {
+  type: String,
+  required: [true, 'Public key is required'],
+  maxlength: [1024, 'Public key cannot exceed 1024 characters']
+};
+
+const keyId = {
+  type: Number,
+  required: [true, 'Key ID is required'],
+  min: [0, 'Key ID cannot be negative']
+};
+
+const preKeySchema = new mongoose.Schema({
+  keyId,
+  publicKey
+}, {
+  _id: false
+});
+
+const signedPreKeySchema = new mongoose.Schema({
+  keyId,
+  publicKey,
+  // Signature by the identity key, checked by the clients
+  signature: {
+    type: String,
+    required: [true, 'Signed prekey signature is required'],
+    maxlength: [1024, 'Signature cannot exceed 1024 characters']
+  }
+}, {
+  _id: false
+});
+
+// Keys a user published to receive end-to-end encrypted direct messages
+const keyBundleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    unique: true
+  },
+  identityKey: publicKey,
+  signedPreKey: {
+    type: signedPreKeySchema,
+    required: [true, 'Signed prekey is required']
+  },
+  // Used once each, handed out oldest first to users starting a session
+  oneTimePreKeys: [preKeySchema],
+  // When the identity key last changed, partners must verify the safety number again
+  identityChangedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Format the bundle a user fetches to start a session, with at most one one-time prekey
+keyBundleSchema.methods.toClientJSON = function(oneTimePreKey) {
+  return {
+    userId: this.user,
+    identityKey: this.identityKey,
+    signedPreKey: {
+      keyId: this.signedPreKey.keyId,
+      publicKey: this.signedPreKey.publicKey,
+      signature: this.signedPreKey.signature
+    },
+    oneTimePreKey: oneTimePreKey ? {
+      keyId: oneTimePreKey.keyId,
+      publicKey: oneTimePreKey.publicKey
+    } : null,
+    identityChangedAt: this.identityChangedAt
+  };
+};
+
+module.exports = mongoose.model('KeyBundle', keyBundleSchema);
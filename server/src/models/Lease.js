@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Leases let one server instance at a time run a periodic job. The holder
+// renews its lease every run, and another instance takes over once it expires.
+const leaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Process holding the lease
+  holder: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Identifies this process as a lease holder
+const HOLDER_ID = crypto.randomBytes(8).toString('hex');
+
+// Static method to take or renew a lease for durationMs, resolves to false
+// while another instance holds it
+leaseSchema.statics.acquire = async function(name, durationMs) {
+  const now = new Date();
+
+  try {
+    const lease = await this.findOneAndUpdate(
+      { name, $or: [{ holder: HOLDER_ID }, { expiresAt: { $lte: now } }] },
+      { holder: HOLDER_ID, expiresAt: new Date(now.getTime() + durationMs) },
+      { upsert: true, new: true }
+    );
+    return Boolean(lease);
+  } catch (error) {
+    // The lease is held, the upsert ran into the holder's document
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Lease', leaseSchema);
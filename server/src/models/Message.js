@@ -1,34 +1,181 @@
 const mongoose = require('mongoose');
+const Attachment = require('./Attachment');
+
+const receiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// Snapshot of an Attachment, _id is the attachment id
+const attachmentSummarySchema = new mongoose.Schema({
+  kind: String,
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  hasThumbnail: Boolean
+});
+
+const revisionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// One user's reaction, a user reacts at most once with each emoji
+const reactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// Ciphertext of an end-to-end encrypted message, stored and relayed as is.
+// The server cannot read it, so it is neither validated as text nor searchable.
+const encryptedPayloadSchema = new mongoose.Schema({
+  // Protocol chosen by the clients, e.g. "x3dh-double-ratchet-v1"
+  algorithm: {
+    type: String,
+    maxlength: [50, 'Algorithm cannot exceed 50 characters']
+  },
+  // Protocol header, e.g. the ratchet key and counters or prekey message data
+  header: {
+    type: String,
+    maxlength: [4096, 'Encrypted header cannot exceed 4096 characters']
+  },
+  ciphertext: {
+    type: String,
+    required: [true, 'Ciphertext is required'],
+    maxlength: [65536, 'Ciphertext cannot exceed 65536 characters']
+  }
+}, {
+  _id: false
+});
+
+// Length of the text quoted from the message a reply answers
+const QUOTE_LENGTH = 100;
+
+// Population loading the message a reply quotes, with its sender
+const QUOTE_POPULATE = {
+  path: 'replyTo',
+  select: 'sender type text attachments deletedAt expiresAt createdAt',
+  populate: { path: 'sender', select: 'username' }
+};
 
 const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Conversation is required']
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Sender is required']
   },
+  // Id chosen by the sending client so retried sends are not stored twice
+  clientMessageId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client message ID cannot exceed 100 characters']
+  },
+  // Only set for direct conversations
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'Receiver is required']
+    ref: 'User'
+  },
+  // "encrypted" messages carry an encrypted payload instead of text, and
+  // "system" messages announce a change to the conversation made by the sender
+  type: {
+    type: String,
+    enum: ['text', 'encrypted', 'system'],
+    default: 'text'
+  },
+  // What a system message announces, e.g. { event: 'disappearing_timer', messageTtl: 86400 }
+  system: {
+    event: {
+      type: String
+    },
+    messageTtl: {
+      type: Number
+    }
   },
   text: {
     type: String,
-    required: [true, 'Message text is required'],
+    required: [function() {
+      return !this.deletedAt && this.type === 'text' && this.attachments.length === 0;
+    }, 'Message text is required'],
     trim: true,
     maxlength: [1000, 'Message cannot exceed 1000 characters']
   },
-  delivered: {
-    type: Boolean,
-    default: false
+  attachments: [attachmentSummarySchema],
+  // Message this one answers, in the same conversation
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Replies that were not deleted for everyone, and when the latest was sent
+  replyCount: {
+    type: Number,
+    default: 0
   },
-  read: {
-    type: Boolean,
-    default: false
+  lastReplyAt: {
+    type: Date
+  },
+  encrypted: {
+    type: encryptedPayloadSchema,
+    required: [function() {
+      return !this.deletedAt && this.type === 'encrypted';
+    }, 'Encrypted payload is required']
+  },
+  // Kept in the order they were added, so emojis are listed by first use
+  reactions: [reactionSchema],
+  deliveredTo: [receiptSchema],
+  readBy: [receiptSchema],
+  // Previous versions of the text, oldest first
+  revisions: [revisionSchema],
+  editedAt: {
+    type: Date
   },
-  readAt: {
+  // Members who deleted the message for themselves only
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set when the sender deleted the message for everyone
+  deletedAt: {
     type: Date
   },
-  deliveredAt: {
+  // Disappearing messages are purged at this time
+  expiresAt: {
     type: Date
   }
 }, {
@@ -36,38 +183,340 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Index for efficient querying of conversations
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
-messageSchema.index({ receiver: 1, sender: 1, createdAt: -1 });
+// Encrypted messages have no text, so they stay out of the search index
+messageSchema.index({ text: 'text' });
+messageSchema.index({ createdAt: -1 });
+messageSchema.index({ replyTo: 1, createdAt: 1, _id: 1 }, { sparse: true });
+messageSchema.index({ expiresAt: 1 }, { sparse: true });
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+
+// Static method for a filter leaving out disappearing messages whose timer ran
+// out. They stay stored until the retention sweeper purges them, but are no
+// longer readable. $nor keeps the filter clear of any $or it is combined with.
+messageSchema.statics.notExpired = function(now = new Date()) {
+  return { $nor: [{ expiresAt: { $lte: now } }] };
+};
+
+// Filter for messages on one side of a cursor position, ordered by createdAt then _id
+const cursorFilter = ({ createdAt, id }, direction, inclusive = false) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
 
-// Static method to get conversation messages
-messageSchema.statics.getConversation = function(userId1, userId2, page = 1, limit = 50) {
-  return this.find({
+  if (!id) {
+    return { createdAt: { [inclusive ? `${op}e` : op]: createdAt } };
+  }
+
+  return {
     $or: [
-      { sender: userId1, receiver: userId2 },
-      { sender: userId2, receiver: userId1 }
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [inclusive ? `${op}e` : op]: id } }
     ]
+  };
+};
+
+// Static method to turn a cursor (message id or timestamp) into a position in a conversation
+messageSchema.statics.resolveCursor = async function(conversationId, cursor) {
+  if (mongoose.isValidObjectId(cursor) && /^[0-9a-f]{24}$/i.test(cursor)) {
+    const message = await this.findOne({ _id: cursor, conversation: conversationId }).select('createdAt');
+    return message ? { createdAt: message.createdAt, id: message._id } : null;
+  }
+
+  const timestamp = new Date(isNaN(cursor) ? cursor : Number(cursor));
+  return isNaN(timestamp.getTime()) ? null : { createdAt: timestamp, id: null };
+};
+
+// Static method to get a window of conversation messages, without those the viewer deleted for themselves.
+// With no position the latest messages are returned; otherwise messages before or after it, or
+// centered around it. Messages come back oldest first.
+messageSchema.statics.getConversation = async function(conversationId, viewerId, {
+  before,
+  after,
+  around,
+  limit = 50
+} = {}) {
+  const baseFilter = { conversation: conversationId, deletedFor: { $ne: viewerId }, ...this.notExpired() };
+
+  const fetch = (filter, order, count) => {
+    return this.find({ ...baseFilter, ...filter })
+    .populate('sender', 'username')
+    .populate('receiver', 'username')
+    .populate(QUOTE_POPULATE)
+    .sort({ createdAt: order, _id: order })
+    .limit(count + 1);
+  };
+
+  const hasAny = async (filter) => Boolean(await this.exists({ ...baseFilter, ...filter }));
+
+  if (around) {
+    const olderLimit = Math.floor(limit / 2);
+    const newerLimit = limit - olderLimit;
+    const [older, newer] = await Promise.all([
+      fetch(cursorFilter(around, 'before'), -1, olderLimit),
+      fetch(cursorFilter(around, 'after', true), 1, newerLimit)
+    ]);
+
+    return {
+      messages: [...older.slice(0, olderLimit).reverse(), ...newer.slice(0, newerLimit)],
+      hasMoreBefore: older.length > olderLimit,
+      hasMoreAfter: newer.length > newerLimit
+    };
+  }
+
+  if (after) {
+    const [newer, hasMoreBefore] = await Promise.all([
+      fetch(cursorFilter(after, 'after'), 1, limit),
+      hasAny(cursorFilter(after, 'before', true))
+    ]);
+
+    return {
+      messages: newer.slice(0, limit),
+      hasMoreBefore,
+      hasMoreAfter: newer.length > limit
+    };
+  }
+
+  const [older, hasMoreAfter] = await Promise.all([
+    fetch(before ? cursorFilter(before, 'before') : {}, -1, limit),
+    before ? hasAny(cursorFilter(before, 'after', true)) : false
+  ]);
+
+  return {
+    messages: older.slice(0, limit).reverse(),
+    hasMoreBefore: older.length > limit,
+    hasMoreAfter
+  };
+};
+
+// Static method to get the replies to a message, oldest first, without
+// deleted ones. `after` is a position to continue from.
+messageSchema.statics.getThread = async function(parentId, viewerId, { after, limit = 50 } = {}) {
+  const replies = await this.find({
+    replyTo: parentId,
+    deletedAt: null,
+    deletedFor: { $ne: viewerId },
+    ...this.notExpired(),
+    ...(after && cursorFilter(after, 'after'))
   })
   .populate('sender', 'username')
   .populate('receiver', 'username')
-  .sort({ createdAt: -1 })
-  .limit(limit * 1)
-  .skip((page - 1) * limit);
+  .sort({ createdAt: 1, _id: 1 })
+  .limit(limit + 1);
+
+  return {
+    replies: replies.slice(0, limit),
+    hasMore: replies.length > limit
+  };
 };
 
-// Static method to mark messages as read
-messageSchema.statics.markAsRead = function(senderId, receiverId) {
+// Static method to full-text search messages within the given conversations
+messageSchema.statics.search = function(query, {
+  conversationIds,
+  viewerId,
+  senderId,
+  from,
+  to,
+  skip = 0,
+  limit = 20
+}) {
+  const filter = {
+    $text: { $search: query },
+    conversation: { $in: conversationIds },
+    deletedFor: { $ne: viewerId },
+    deletedAt: null,
+    ...this.notExpired()
+  };
+
+  if (senderId) filter.sender = senderId;
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  return this.find(filter, { score: { $meta: 'textScore' } })
+  .populate('sender', 'username')
+  .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+// Static method to mark a conversation's messages as read by a member
+messageSchema.statics.markAsRead = async function(conversationId, userId) {
+  const now = new Date();
+
+  await this.markAsDelivered(conversationId, userId);
+
   return this.updateMany(
-    { sender: senderId, receiver: receiverId, read: false },
-    { read: true, readAt: new Date() }
+    { conversation: conversationId, sender: { $ne: userId }, 'readBy.user': { $ne: userId } },
+    { $push: { readBy: { user: userId, at: now } } }
   );
 };
 
-// Static method to mark messages as delivered
-messageSchema.statics.markAsDelivered = function(senderId, receiverId) {
+// Static method to mark a conversation's messages as delivered to a member
+messageSchema.statics.markAsDelivered = function(conversationId, userId) {
   return this.updateMany(
-    { sender: senderId, receiver: receiverId, delivered: false },
-    { delivered: true, deliveredAt: new Date() }
+    { conversation: conversationId, sender: { $ne: userId }, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, at: new Date() } } }
   );
 };
 
-module.exports = mongoose.model('Message', messageSchema);
+// Get receipt for a user from deliveredTo or readBy
+const findReceipt = (receipts, userId) => {
+  return receipts.find(receipt => (receipt.user._id || receipt.user).toString() === userId.toString());
+};
+
+// Whether the message's disappearing timer ran out
+messageSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+// Check whether a member has read the message
+messageSchema.methods.isReadBy = function(userId) {
+  return Boolean(findReceipt(this.readBy, userId));
+};
+
+// Record a read receipt for a member, returns false if already read
+messageSchema.methods.markReadBy = function(userId) {
+  if (this.isReadBy(userId)) {
+    return false;
+  }
+
+  const now = new Date();
+  if (!findReceipt(this.deliveredTo, userId)) {
+    this.deliveredTo.push({ user: userId, at: now });
+  }
+  this.readBy.push({ user: userId, at: now });
+  return true;
+};
+
+// Format what a reply quotes. A quoted message that was deleted, or is gone,
+// is replaced by a placeholder, as is one that expired.
+messageSchema.methods.formatQuote = function() {
+  const quoted = this.replyTo;
+  const quotedId = this.populated('replyTo') || (quoted && (quoted._id || quoted));
+  if (!quotedId) return null;
+
+  if (!quoted || quoted.deletedAt) {
+    return { id: quotedId, deleted: true, placeholder: 'This message was deleted' };
+  }
+
+  if (quoted.isExpired()) {
+    return { id: quotedId, deleted: true, placeholder: 'This message has expired' };
+  }
+
+  // Not loaded with the quote population
+  if (!quoted.sender) {
+    return { id: quotedId };
+  }
+
+  const text = quoted.text || '';
+
+  return {
+    id: quotedId,
+    deleted: false,
+    type: quoted.type,
+    sender: {
+      id: quoted.sender._id || quoted.sender,
+      username: quoted.sender.username
+    },
+    text: text.length > QUOTE_LENGTH ? `${text.slice(0, QUOTE_LENGTH)}…` : text || null,
+    attachmentCount: quoted.attachments.length,
+    createdAt: quoted.createdAt
+  };
+};
+
+// Aggregate reactions per emoji, in order of first use. `reacted` tells
+// whether the viewer is one of the users who reacted.
+messageSchema.methods.summarizeReactions = function(viewerId) {
+  const summary = new Map();
+
+  this.reactions.forEach(reaction => {
+    if (!summary.has(reaction.emoji)) {
+      summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, userIds: [] });
+    }
+    const entry = summary.get(reaction.emoji);
+    entry.count++;
+    entry.userIds.push(reaction.user);
+  });
+
+  return Array.from(summary.values()).map(({ emoji, count, userIds }) => ({
+    emoji,
+    count,
+    userIds,
+    ...(viewerId && { reacted: userIds.some(id => id.toString() === viewerId.toString()) })
+  }));
+};
+
+// Replace the text, keeping the previous version in the revision history
+messageSchema.methods.edit = function(text) {
+  this.revisions.push({ text: this.text, editedAt: this.editedAt || this.createdAt });
+  this.text = text;
+  this.editedAt = new Date();
+};
+
+// Remove the content of a message for every member
+messageSchema.methods.deleteForEveryone = function() {
+  this.text = undefined;
+  this.encrypted = undefined;
+  this.attachments = [];
+  this.reactions = [];
+  this.revisions = [];
+  this.deletedAt = new Date();
+};
+
+// Format message for API and socket payloads
+messageSchema.methods.toClientJSON = function(viewerId) {
+  const senderId = this.sender._id || this.sender;
+
+  return {
+    id: this._id,
+    clientMessageId: this.clientMessageId,
+    conversationId: this.conversation,
+    type: this.type,
+    text: this.deletedAt ? null : this.text,
+    system: this.type === 'system' && this.system ? {
+      event: this.system.event,
+      messageTtl: this.system.messageTtl || null
+    } : null,
+    encrypted: this.encrypted && !this.deletedAt ? {
+      algorithm: this.encrypted.algorithm,
+      header: this.encrypted.header,
+      ciphertext: this.encrypted.ciphertext
+    } : null,
+    attachments: this.attachments.map(attachment => Attachment.format(attachment)),
+    sender: {
+      id: senderId,
+      username: this.sender.username
+    },
+    receiver: this.receiver ? {
+      id: this.receiver._id || this.receiver,
+      username: this.receiver.username
+    } : null,
+    delivered: this.deliveredTo.length > 0,
+    read: this.readBy.length > 0,
+    replyTo: this.formatQuote(),
+    replyCount: this.replyCount,
+    lastReplyAt: this.lastReplyAt,
+    reactions: this.summarizeReactions(viewerId),
+    deliveredTo: this.deliveredTo.map(receipt => ({ userId: receipt.user, at: receipt.at })),
+    readBy: this.readBy.map(receipt => ({ userId: receipt.user, at: receipt.at })),
+    edited: Boolean(this.editedAt),
+    editedAt: this.editedAt,
+    deleted: Boolean(this.deletedAt),
+    deletedAt: this.deletedAt,
+    expiresAt: this.expiresAt || null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    ...(viewerId && { isFromMe: senderId.toString() === viewerId.toString() })
+  };
+};
+
+const Message = mongoose.model('Message', messageSchema);
+Message.QUOTE_POPULATE = QUOTE_POPULATE;
+
+module.exports = Message;
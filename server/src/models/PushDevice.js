@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const PUSH_PROVIDERS = ['webpush', 'fcm', 'apns', 'fake'];
+
+// A device that receives push notifications while its user is offline
+const pushDeviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Session the device registered from, its token is dropped when the session ends
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  provider: {
+    type: String,
+    enum: {
+      values: PUSH_PROVIDERS,
+      message: `Provider must be one of: ${PUSH_PROVIDERS.join(', ')}`
+    },
+    required: [true, 'Provider is required']
+  },
+  // FCM registration token, APNs device token, or the Web Push endpoint
+  token: {
+    type: String,
+    required: [true, 'Push token is required'],
+    maxlength: [2048, 'Push token cannot exceed 2048 characters']
+  },
+  // Web Push subscription keys
+  keys: {
+    p256dh: String,
+    auth: String
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  lastNotifiedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// A token belongs to one device, registering it again moves it to the new user
+pushDeviceSchema.index({ provider: 1, token: 1 }, { unique: true });
+pushDeviceSchema.index({ user: 1 });
+pushDeviceSchema.index({ session: 1 });
+
+// Format device for API responses, without the token itself
+pushDeviceSchema.methods.toClientJSON = function(currentSessionId) {
+  return {
+    id: this._id,
+    provider: this.provider,
+    name: this.name || null,
+    createdAt: this.createdAt,
+    lastNotifiedAt: this.lastNotifiedAt || null,
+    isCurrent: Boolean(currentSessionId && this.session) && this.session.toString() === currentSessionId.toString()
+  };
+};
+
+const PushDevice = mongoose.model('PushDevice', pushDeviceSchema);
+PushDevice.PROVIDERS = PUSH_PROVIDERS;
+
+module.exports = PushDevice;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate_content', 'impersonation', 'other'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reported user is required']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+    },
+    required: [true, 'Reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  // The reported message, with a copy of its text in case it is edited or deleted later
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  messageText: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reviewed', 'dismissed'],
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  // What the moderator did about it
+  resolution: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Resolution cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+reportSchema.index({ reporter: 1, reportedUser: 1, status: 1 });
+
+const formatUser = (user) => (user && user.username
+  ? { id: user._id, username: user.username }
+  : user);
+
+// Format report for API payloads, with users when they are populated
+reportSchema.methods.toClientJSON = function() {
+  return {
+    id: this._id,
+    reporter: formatUser(this.reporter),
+    reportedUser: formatUser(this.reportedUser),
+    reason: this.reason,
+    details: this.details,
+    messageId: this.message,
+    conversationId: this.conversation,
+    messageText: this.messageText,
+    status: this.status,
+    reviewedBy: formatUser(this.reviewedBy),
+    reviewedAt: this.reviewedAt,
+    resolution: this.resolution,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Report = mongoose.model('Report', reportSchema);
+Report.REASONS = REPORT_REASONS;
+
+module.exports = Report;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Server-wide settings admins change at runtime, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, or the fallback when it was never set
+settingSchema.statics.getValue = async function(key, fallback) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : fallback;
+};
+
+// Static method to change a setting
+settingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
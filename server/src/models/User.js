@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 
+const PRESENCE_STATUSES = ['online', 'away', 'busy', 'invisible'];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -16,6 +19,13 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -28,11 +38,149 @@ const userSchema = new mongoose.Schema({
   lastSeen: {
     type: Date,
     default: Date.now
+  },
+  // Status the user chose, shown while they are connected. With expiresAt,
+  // it reverts to online at that time.
+  presence: {
+    status: {
+      type: String,
+      enum: {
+        values: PRESENCE_STATUSES,
+        message: `Status must be one of: ${PRESENCE_STATUSES.join(', ')}`
+      },
+      default: 'online'
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Status text cannot exceed 100 characters']
+    },
+    expiresAt: {
+      type: Date
+    }
+  },
+  // Latest input on any device, from socket heartbeats and events
+  lastActiveAt: {
+    type: Date
+  },
+  // Set when no device has seen input for a while, shows the user as away
+  idle: {
+    type: Boolean,
+    default: false
+  },
+  // Profile
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Display name cannot exceed 50 characters']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Bio cannot exceed 300 characters']
+  },
+  avatarKey: {
+    type: String
+  },
+  avatarUpdatedAt: {
+    type: Date
+  },
+  // Push notifications while offline. Nothing is pushed during do-not-disturb,
+  // until a time or during daily quiet hours ("HH:MM" in the user's time zone).
+  notificationSettings: {
+    previews: {
+      type: Boolean,
+      default: true
+    },
+    doNotDisturbUntil: {
+      type: Date
+    },
+    quietHours: {
+      start: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be in HH:MM format']
+      },
+      end: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be in HH:MM format']
+      },
+      timeZone: {
+        type: String,
+        default: 'UTC'
+      }
+    }
+  },
+  // Users this user does not want to hear from
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Bot accounts cannot sign in, they post with API keys their owner creates
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  botOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Suspended users cannot sign in, and lose their sessions when suspended
+  suspendedAt: {
+    type: Date
+  },
+  suspendedReason: {
+    type: String,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  // Deleted accounts are kept, anonymized, so their messages still have a sender
+  deletedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. Secrets and backup code hashes are only
+  // loaded when asked for with select('+twoFactor.secret') and so on.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being enrolled, until the user confirms it with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step a code was accepted for, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ botOwner: 1 }, { sparse: true });
+userSchema.index({ createdAt: -1 });
+userSchema.index({ isOnline: 1, idle: 1, lastActiveAt: 1 });
+userSchema.index({ 'presence.expiresAt': 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -51,11 +199,147 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Replace everything identifying a deleted user. The address is on the
+// reserved example.com domain and still passes the email check, since later
+// saves of the user validate it.
+userSchema.methods.anonymize = function() {
+  this.username = `deleted-${this._id}`;
+  this.email = `deleted-${this._id}@deleted.example.com`;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.displayName = 'Deleted user';
+  this.bio = undefined;
+  this.avatarKey = undefined;
+  this.avatarUpdatedAt = undefined;
+  this.twoFactor = undefined;
+  this.blockedUsers = [];
+  this.presence = undefined;
+  this.isOnline = false;
+  this.deletedAt = new Date();
+};
+
+// Check whether the user has admin privileges
+userSchema.methods.isAdmin = function() {
+  return this.role === 'admin';
+};
+
+// Check whether a user has blocked this user
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.some(blockedId => blockedId.toString() === userId.toString());
+};
+
+// Static method to check whether either of two users has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId1, userId2) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userId1, blockedUsers: userId2 },
+      { _id: userId2, blockedUsers: userId1 }
+    ]
+  });
+  return Boolean(blocked);
+};
+
+// Static method to get the ids of users a user has blocked or been blocked
+// by, as strings. Presence and typing are hidden between them.
+userSchema.statics.getBlockedRelations = async function(userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).select('_id')
+  ]);
+
+  const ids = new Set(blockedBy.map(other => other._id.toString()));
+  if (user) user.blockedUsers.forEach(blockedId => ids.add(blockedId.toString()));
+  return Array.from(ids);
+};
+
+// Describe the user's presence as a viewer sees it. Invisible users look
+// offline to everyone but themselves, and idle users who chose online look away.
+// `connected` defaults to the stored online flag; `at` to now.
+userSchema.methods.getPresence = function(viewerId, { connected = this.isOnline, at = new Date() } = {}) {
+  const isSelf = Boolean(viewerId) && viewerId.toString() === this._id.toString();
+  const chosen = this.presence && this.presence.status &&
+    (!this.presence.expiresAt || this.presence.expiresAt > at)
+    ? this.presence
+    : null;
+
+  let status = chosen ? chosen.status : 'online';
+  if (!connected) {
+    status = 'offline';
+  } else if (status === 'invisible' && !isSelf) {
+    status = 'offline';
+  } else if (status === 'online' && this.idle) {
+    status = 'away';
+  }
+
+  const showCustom = chosen && (status !== 'offline' || isSelf);
+
+  return {
+    status,
+    isOnline: status !== 'offline',
+    text: showCustom ? chosen.text || null : null,
+    expiresAt: showCustom ? chosen.expiresAt || null : null,
+    lastSeen: this.lastSeen
+  };
+};
+
+// Check whether the user currently chose to appear offline
+userSchema.methods.isInvisible = function() {
+  return Boolean(this.presence && this.presence.status === 'invisible' &&
+    (!this.presence.expiresAt || this.presence.expiresAt > new Date()));
+};
+
+// Check whether push notifications are held back by do-not-disturb at a given time
+userSchema.methods.isDoNotDisturb = function(at = new Date()) {
+  const settings = this.notificationSettings || {};
+
+  if (settings.doNotDisturbUntil && settings.doNotDisturbUntil > at) {
+    return true;
+  }
+
+  const { start, end, timeZone } = settings.quietHours || {};
+  if (!start || !end || start === end) {
+    return false;
+  }
+
+  let localTime;
+  try {
+    localTime = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timeZone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(at);
+  } catch (error) {
+    return false;
+  }
+
+  // Quiet hours may run past midnight, e.g. 22:00 to 07:00
+  return start < end
+    ? localTime >= start && localTime < end
+    : localTime >= start || localTime < end;
+};
+
+// Format the public profile for API and socket payloads
+userSchema.methods.toProfileJSON = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    displayName: this.displayName || this.username,
+    bio: this.bio || '',
+    isBot: Boolean(this.isBot),
+    // The version busts caches when the avatar changes
+    avatarUrl: this.avatarKey ? `/users/${this._id}/avatar?v=${this.avatarUpdatedAt.getTime()}` : null
+  };
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.twoFactor;
   return userObject;
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+User.PRESENCE_STATUSES = PRESENCE_STATUSES;
+
+module.exports = User;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = ['message.created', 'message.read', 'user.online'];
+
+// An endpoint a user registered to receive events about their conversations
+const webhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2048, 'Webhook URL cannot exceed 2048 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: `Events must be among: ${WEBHOOK_EVENTS.join(', ')}`
+      }
+    }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Key payloads are signed with, only shown when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Deliveries that failed for good in a row, the webhook is disabled past a limit
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: {
+    type: Date
+  },
+  lastDeliveryAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ owner: 1, active: 1 });
+
+// Format webhook for API responses, without the secret
+webhookSchema.methods.toClientJSON = function() {
+  return {
+    id: this._id,
+    url: this.url,
+    events: this.events,
+    description: this.description || null,
+    active: this.active,
+    failureCount: this.failureCount,
+    disabledAt: this.disabledAt || null,
+    lastDeliveryAt: this.lastDeliveryAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
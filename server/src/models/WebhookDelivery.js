@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Deliveries are kept this long as a log, then removed by MongoDB
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// One event sent to one webhook, with its attempts
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due, while pending
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending it, so other instances leave it alone
+  lockedUntil: {
+    type: Date
+  },
+  lastStatusCode: {
+    type: Number
+  },
+  lastError: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_TTL_SECONDS });
+
+// Format delivery for API responses
+webhookDeliverySchema.methods.toClientJSON = function() {
+  return {
+    id: this._id,
+    webhookId: this.webhook,
+    event: this.event,
+    payload: this.payload,
+    status: this.status,
+    attempts: this.attempts,
+    nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : null,
+    lastStatusCode: this.lastStatusCode || null,
+    lastError: this.lastError || null,
+    deliveredAt: this.deliveredAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
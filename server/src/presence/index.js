@@ -0,0 +1,41 @@
+const createMemoryPresence = require('./memory');
+
+// Presence adapters implement addSocket, removeSocket, isUserOnline,
+// filterOnline, getOnlineUsers, getUserSockets and close, all async.
+// The in-memory adapter is used unless another one is installed at startup.
+let adapter = createMemoryPresence();
+
+const usePresenceAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+const getPresenceAdapter = () => adapter;
+
+// Track a socket, resolves to true when it is the user's first connected device
+const addSocket = (userId, socketId) => adapter.addSocket(userId.toString(), socketId);
+
+// Forget a socket, resolves to true when the user has no connected devices left
+const removeSocket = (userId, socketId) => adapter.removeSocket(userId.toString(), socketId);
+
+// Helper function to check if user is online
+const isUserOnline = (userId) => adapter.isUserOnline(userId.toString());
+
+// Helper function to keep the ids of users who are online
+const filterOnline = (userIds) => adapter.filterOnline(userIds.map(String));
+
+// Helper function to get online users
+const getOnlineUsers = () => adapter.getOnlineUsers();
+
+// Helper function to get the socket ids of a user's connected devices
+const getUserSockets = (userId) => adapter.getUserSockets(userId.toString());
+
+module.exports = {
+  usePresenceAdapter,
+  getPresenceAdapter,
+  addSocket,
+  removeSocket,
+  isUserOnline,
+  filterOnline,
+  getOnlineUsers,
+  getUserSockets
+};
@@ -0,0 +1,49 @@
+// In-process presence store, only correct when a single server instance runs
+const createMemoryPresence = () => {
+  const activeUsers = new Map(); // userId -> Set of socketIds
+
+  return {
+    name: 'memory',
+
+    // Track a socket, resolves to true when it is the user's first connected device
+    async addSocket(userId, socketId) {
+      const sockets = activeUsers.get(userId) || new Set();
+      sockets.add(socketId);
+      activeUsers.set(userId, sockets);
+      return sockets.size === 1;
+    },
+
+    // Forget a socket, resolves to true when the user has no connected devices left
+    async removeSocket(userId, socketId) {
+      const sockets = activeUsers.get(userId);
+      if (!sockets) return true;
+
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        activeUsers.delete(userId);
+        return true;
+      }
+      return false;
+    },
+
+    async isUserOnline(userId) {
+      return activeUsers.has(userId);
+    },
+
+    async filterOnline(userIds) {
+      return userIds.filter(userId => activeUsers.has(userId));
+    },
+
+    async getOnlineUsers() {
+      return Array.from(activeUsers.keys());
+    },
+
+    async getUserSockets(userId) {
+      return Array.from(activeUsers.get(userId) || []);
+    },
+
+    async close() {}
+  };
+};
+
+module.exports = createMemoryPresence;
@@ -0,0 +1,108 @@
+const DEFAULT_TTL_SECONDS = 60;
+
+// Presence store shared by every server instance through Redis.
+//
+// Each user has a sorted set of socket ids scored by when the entry expires,
+// and presence:users holds online user ids the same way. Instances refresh
+// the entries of their own sockets on a heartbeat, so sockets of an instance
+// that crashed drop out once their entries expire.
+const createRedisPresence = ({ client, ttlSeconds = DEFAULT_TTL_SECONDS, keyPrefix = 'presence' }) => {
+  const ttlMs = ttlSeconds * 1000;
+  const usersKey = `${keyPrefix}:users`;
+  const socketsKey = (userId) => `${keyPrefix}:sockets:${userId}`;
+  const localSockets = new Map(); // userId -> Set of socketIds on this instance
+
+  const expiry = () => Date.now() + ttlMs;
+
+  // Refresh this instance's entries before they expire
+  const heartbeat = setInterval(() => {
+    if (localSockets.size === 0) return;
+
+    const expiresAt = expiry();
+    const pipeline = client.pipeline();
+    localSockets.forEach((sockets, userId) => {
+      sockets.forEach(socketId => pipeline.zadd(socketsKey(userId), expiresAt, socketId));
+      pipeline.zadd(usersKey, expiresAt, userId);
+    });
+    pipeline.exec().catch(error => console.error('Presence heartbeat error:', error));
+  }, ttlMs / 3);
+  heartbeat.unref();
+
+  return {
+    name: 'redis',
+
+    // Track a socket, resolves to true when it is the user's first connected device
+    async addSocket(userId, socketId) {
+      const sockets = localSockets.get(userId) || new Set();
+      sockets.add(socketId);
+      localSockets.set(userId, sockets);
+
+      const expiresAt = expiry();
+      const results = await client.multi()
+        .zremrangebyscore(socketsKey(userId), '-inf', Date.now())
+        .zadd(socketsKey(userId), expiresAt, socketId)
+        .zcard(socketsKey(userId))
+        .zadd(usersKey, expiresAt, userId)
+        .exec();
+
+      return results[2][1] === 1;
+    },
+
+    // Forget a socket, resolves to true when the user has no connected devices left
+    async removeSocket(userId, socketId) {
+      const sockets = localSockets.get(userId);
+      if (sockets) {
+        sockets.delete(socketId);
+        if (sockets.size === 0) localSockets.delete(userId);
+      }
+
+      const results = await client.multi()
+        .zrem(socketsKey(userId), socketId)
+        .zremrangebyscore(socketsKey(userId), '-inf', Date.now())
+        .zcard(socketsKey(userId))
+        .exec();
+
+      if (results[2][1] > 0) return false;
+
+      await client.zrem(usersKey, userId);
+      return true;
+    },
+
+    async isUserOnline(userId) {
+      return (await client.zcount(socketsKey(userId), Date.now(), '+inf')) > 0;
+    },
+
+    async filterOnline(userIds) {
+      if (userIds.length === 0) return [];
+
+      const now = Date.now();
+      const pipeline = client.pipeline();
+      userIds.forEach(userId => pipeline.zcount(socketsKey(userId), now, '+inf'));
+      const results = await pipeline.exec();
+
+      return userIds.filter((userId, index) => results[index][1] > 0);
+    },
+
+    async getOnlineUsers() {
+      return client.zrangebyscore(usersKey, Date.now(), '+inf');
+    },
+
+    async getUserSockets(userId) {
+      return client.zrangebyscore(socketsKey(userId), Date.now(), '+inf');
+    },
+
+    // Stop the heartbeat and remove this instance's sockets
+    async close() {
+      clearInterval(heartbeat);
+
+      const pipeline = client.pipeline();
+      localSockets.forEach((sockets, userId) => {
+        sockets.forEach(socketId => pipeline.zrem(socketsKey(userId), socketId));
+      });
+      localSockets.clear();
+      await pipeline.exec();
+    }
+  };
+};
+
+module.exports = createRedisPresence;
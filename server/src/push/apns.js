@@ -0,0 +1,96 @@
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const { PushError } = require('./errors');
+
+// Apple accepts a provider token for up to an hour, and rejects refreshes more
+// often than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+// Reasons meaning the device token is no longer valid for the app
+const GONE_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+// Push provider for iOS apps through the APNs HTTP/2 API, with token-based
+// authentication from a .p8 signing key
+const createApnsProvider = ({ keyId, teamId, privateKey, topic, production, ttlSeconds }) => {
+  if (!keyId || !teamId || !privateKey || !topic) {
+    throw new Error('APNs needs APNS_KEY_ID, APNS_TEAM_ID, APNS_PRIVATE_KEY and APNS_TOPIC');
+  }
+
+  const origin = production ? 'https://api.push.apple.com' : 'https://api.sandbox.push.apple.com';
+  let session = null;
+  let providerToken = null;
+  let providerTokenIssuedAt = 0;
+
+  const getProviderToken = () => {
+    if (!providerToken || Date.now() - providerTokenIssuedAt > PROVIDER_TOKEN_TTL_MS) {
+      providerToken = jwt.sign({}, privateKey, { algorithm: 'ES256', issuer: teamId, keyid: keyId });
+      providerTokenIssuedAt = Date.now();
+    }
+    return providerToken;
+  };
+
+  // One connection is shared by every notification and opened again when it closes
+  const getSession = () => {
+    if (!session || session.closed || session.destroyed) {
+      session = http2.connect(origin);
+      session.on('error', error => console.error('APNs connection error:', error));
+      session.unref();
+    }
+    return session;
+  };
+
+  const request = (headers, body) => new Promise((resolve, reject) => {
+    const stream = getSession().request(headers);
+    let data = '';
+    let status;
+
+    stream.setEncoding('utf8');
+    stream.on('response', (responseHeaders) => { status = responseHeaders[':status']; });
+    stream.on('data', (chunk) => { data += chunk; });
+    stream.on('end', () => resolve({ status, data }));
+    stream.on('error', reject);
+    stream.end(body);
+  });
+
+  return {
+    name: 'apns',
+
+    async send(device, notification) {
+      const { status, data } = await request({
+        ':method': 'POST',
+        ':path': `/3/device/${device.token}`,
+        authorization: `bearer ${getProviderToken()}`,
+        'apns-topic': topic,
+        'apns-push-type': 'alert',
+        'apns-priority': '10',
+        'apns-expiration': String(Math.floor(Date.now() / 1000) + ttlSeconds),
+        // Replaces the notification already shown for the conversation
+        'apns-collapse-id': notification.collapseKey
+      }, JSON.stringify({
+        aps: {
+          alert: { title: notification.title, body: notification.body },
+          badge: notification.badge,
+          sound: 'default',
+          'thread-id': notification.collapseKey
+        },
+        ...notification.data
+      }));
+
+      if (status === 200) return;
+
+      let reason;
+      try {
+        reason = JSON.parse(data).reason;
+      } catch (error) {
+        reason = undefined;
+      }
+
+      throw new PushError(`APNs failed with status ${status}${reason ? ` (${reason})` : ''}`, {
+        statusCode: status,
+        gone: status === 410 || GONE_REASONS.includes(reason)
+      });
+    }
+  };
+};
+
+module.exports = createApnsProvider;
@@ -0,0 +1,12 @@
+// Error from a push provider. `gone` is set when the provider says the token
+// is no longer registered, so the device should be forgotten.
+class PushError extends Error {
+  constructor(message, { statusCode, gone = false } = {}) {
+    super(message);
+    this.name = 'PushError';
+    this.statusCode = statusCode;
+    this.gone = gone;
+  }
+}
+
+module.exports = { PushError };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PushError } = require('./errors');
+
+// Most notifications kept in memory
+const MAX_SENT = 500;
+
+// Push provider that delivers nothing. It keeps what it would have sent in
+// memory, and as JSON files when a directory is given, so the whole flow can
+// be exercised offline. Tokens starting with "gone" behave like tokens the
+// provider no longer knows.
+const createFakeProvider = ({ dir } = {}) => {
+  const sent = [];
+
+  return {
+    name: 'fake',
+    sent,
+
+    async send(device, notification) {
+      if (device.token.startsWith('gone')) {
+        throw new PushError('Token is not registered', { statusCode: 410, gone: true });
+      }
+
+      const delivery = {
+        deviceId: device._id,
+        userId: device.user,
+        token: device.token,
+        notification,
+        sentAt: new Date().toISOString()
+      };
+
+      // Notifications with the same collapse key replace the previous one on the device
+      const replaced = sent.findIndex(entry => (
+        entry.token === device.token && entry.notification.collapseKey === notification.collapseKey
+      ));
+      if (replaced !== -1) sent.splice(replaced, 1);
+
+      sent.push(delivery);
+      if (sent.length > MAX_SENT) sent.shift();
+
+      if (dir) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(delivery, null, 2));
+      }
+    },
+
+    clear() {
+      sent.length = 0;
+    }
+  };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const { PushError } = require('./errors');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// FCM data values must be strings
+const stringifyData = (data) => Object.fromEntries(
+  Object.entries(data || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, String(value)])
+);
+
+// Push provider for Android and iOS apps through Firebase Cloud Messaging's
+// HTTP v1 API, authenticated as a service account
+const createFcmProvider = ({ projectId, clientEmail, privateKey, ttlSeconds }) => {
+  if (!projectId || !clientEmail || !privateKey) {
+    throw new Error('FCM needs FCM_PROJECT_ID, FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY from a service account');
+  }
+
+  const sendUrl = `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`;
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+
+  // Exchange a signed service account assertion for an access token, reused until shortly before it expires
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt - 60 * 1000) {
+      return accessToken;
+    }
+
+    const assertion = jwt.sign({ scope: SCOPE }, privateKey, {
+      algorithm: 'RS256',
+      issuer: clientEmail,
+      audience: TOKEN_URL,
+      expiresIn: '1h'
+    });
+
+    const response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      })
+    });
+
+    if (!response.ok) {
+      throw new PushError(`FCM authentication failed with status ${response.status}`, { statusCode: response.status });
+    }
+
+    const body = await response.json();
+    accessToken = body.access_token;
+    accessTokenExpiresAt = Date.now() + body.expires_in * 1000;
+    return accessToken;
+  };
+
+  return {
+    name: 'fcm',
+
+    async send(device, notification) {
+      const response = await fetch(sendUrl, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${await getAccessToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          message: {
+            token: device.token,
+            notification: { title: notification.title, body: notification.body },
+            data: stringifyData(notification.data),
+            android: {
+              priority: 'high',
+              ttl: `${ttlSeconds}s`,
+              collapse_key: notification.collapseKey,
+              // Replaces the notification already shown for the conversation
+              notification: { tag: notification.collapseKey }
+            },
+            apns: {
+              headers: { 'apns-collapse-id': notification.collapseKey },
+              payload: { aps: { 'thread-id': notification.collapseKey, badge: notification.badge } }
+            }
+          }
+        })
+      });
+
+      if (response.ok) return;
+
+      const body = await response.json().catch(() => ({}));
+      const details = (body.error && body.error.details) || [];
+      const unregistered = details.some(detail => detail.errorCode === 'UNREGISTERED');
+
+      throw new PushError(`FCM failed with status ${response.status}`, {
+        statusCode: response.status,
+        gone: response.status === 404 || unregistered
+      });
+    }
+  };
+};
+
+module.exports = createFcmProvider;
@@ -0,0 +1,74 @@
+const path = require('path');
+const createWebPushProvider = require('./webpush');
+const createFcmProvider = require('./fcm');
+const createApnsProvider = require('./apns');
+const createFakeProvider = require('./fake');
+
+// How long providers keep trying to reach an offline device
+const TTL_SECONDS = parseInt(process.env.PUSH_TTL_SECONDS) || 24 * 60 * 60;
+
+// Keys from environment variables often have their line breaks escaped
+const readKey = (value) => (value ? value.replace(/\\n/g, '\n') : value);
+
+// Push providers implement:
+//   send(device, notification) -> Promise, rejects with a PushError
+// where notification is { title, body, collapseKey, badge, data }. The
+// providers in use are listed in the PUSH_PROVIDERS environment variable.
+const providers = {
+  webpush: () => createWebPushProvider({
+    subject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    ttlSeconds: TTL_SECONDS
+  }),
+  fcm: () => createFcmProvider({
+    projectId: process.env.FCM_PROJECT_ID,
+    clientEmail: process.env.FCM_CLIENT_EMAIL,
+    privateKey: readKey(process.env.FCM_PRIVATE_KEY),
+    ttlSeconds: TTL_SECONDS
+  }),
+  apns: () => createApnsProvider({
+    keyId: process.env.APNS_KEY_ID,
+    teamId: process.env.APNS_TEAM_ID,
+    privateKey: readKey(process.env.APNS_PRIVATE_KEY),
+    topic: process.env.APNS_TOPIC,
+    production: process.env.APNS_PRODUCTION === 'true',
+    ttlSeconds: TTL_SECONDS
+  }),
+  fake: () => createFakeProvider({
+    dir: process.env.PUSH_FAKE_DIR || (process.env.PUSH_FAKE_TO_FILES === 'true'
+      ? path.join(__dirname, '../../push-outbox')
+      : undefined)
+  })
+};
+
+const instances = new Map();
+
+// Without PUSH_PROVIDERS, development and test servers use the fake provider
+// and other servers send no push notifications
+const DEFAULT_PROVIDERS = ['development', 'test'].includes(process.env.NODE_ENV) ? 'fake' : '';
+
+// Names of the providers in use
+const getEnabledPushProviders = () => (process.env.PUSH_PROVIDERS || DEFAULT_PROVIDERS)
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Get a provider by name, or null when it is not in use
+const getPushProvider = (name) => {
+  if (!getEnabledPushProviders().includes(name)) {
+    return null;
+  }
+
+  if (!instances.has(name)) {
+    if (!providers[name]) {
+      throw new Error(`Unknown push provider "${name}". Supported: ${Object.keys(providers).join(', ')}`);
+    }
+
+    instances.set(name, providers[name]());
+  }
+
+  return instances.get(name);
+};
+
+module.exports = { getPushProvider, getEnabledPushProviders };
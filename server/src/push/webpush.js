@@ -0,0 +1,44 @@
+const webPush = require('web-push');
+const { PushError } = require('./errors');
+
+// Push provider for browsers, through the Web Push protocol with VAPID
+// authentication. Devices hold a subscription endpoint and its keys.
+const createWebPushProvider = ({ subject, publicKey, privateKey, ttlSeconds }) => {
+  if (!publicKey || !privateKey) {
+    throw new Error('Web Push needs VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY, generate them with `npx web-push generate-vapid-keys`');
+  }
+
+  const vapidDetails = { subject, publicKey, privateKey };
+
+  return {
+    name: 'webpush',
+    publicKey,
+
+    async send(device, notification) {
+      const subscription = {
+        endpoint: device.token,
+        keys: { p256dh: device.keys.p256dh, auth: device.keys.auth }
+      };
+
+      try {
+        await webPush.sendNotification(subscription, JSON.stringify(notification), {
+          vapidDetails,
+          TTL: ttlSeconds,
+          urgency: 'high',
+          // A newer notification with the same topic replaces one still queued
+          topic: notification.collapseKey
+        });
+      } catch (error) {
+        if (error instanceof webPush.WebPushError) {
+          throw new PushError(`Web Push failed with status ${error.statusCode}`, {
+            statusCode: error.statusCode,
+            gone: error.statusCode === 404 || error.statusCode === 410
+          });
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = createWebPushProvider;
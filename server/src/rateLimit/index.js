@@ -0,0 +1,30 @@
+const rateLimits = require('../config/rateLimits');
+const { isRedisConfigured, getRedisClient } = require('../config/redis');
+const createMemoryRateLimitStore = require('./memory');
+const createRedisRateLimitStore = require('./redis');
+
+let store;
+
+// Get the configured bucket store. Stores implement
+// take(key, { capacity, refillPerSecond, cost }) -> { allowed, remaining, retryAfterMs }
+const getRateLimitStore = () => {
+  if (!store) {
+    if (rateLimits.store === 'redis') {
+      if (!isRedisConfigured()) {
+        throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+      }
+      store = createRedisRateLimitStore({ client: getRedisClient() });
+    } else if (rateLimits.store === 'memory') {
+      store = createMemoryRateLimitStore();
+    } else {
+      throw new Error(`Unknown rate limit store "${rateLimits.store}". Supported: memory, redis`);
+    }
+  }
+
+  return store;
+};
+
+// Take a token from the bucket named by key
+const consume = (key, limit) => getRateLimitStore().take(key, limit);
+
+module.exports = { getRateLimitStore, consume };
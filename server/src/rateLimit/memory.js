@@ -0,0 +1,42 @@
+// Token buckets kept in process memory
+const createMemoryRateLimitStore = () => {
+  const buckets = new Map(); // key -> { tokens, updatedAt, fullAt }
+
+  // Drop buckets that have refilled completely, they behave like new ones
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= now) buckets.delete(key);
+    });
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+
+    async take(key, { capacity, refillPerSecond, cost = 1 }) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+      const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+      let tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+
+      const allowed = tokens >= cost;
+      if (allowed) tokens -= cost;
+
+      buckets.set(key, {
+        tokens,
+        updatedAt: now,
+        fullAt: now + ((capacity - tokens) / refillPerSecond) * 1000
+      });
+
+      return {
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfterMs: allowed ? 0 : Math.ceil(((cost - tokens) / refillPerSecond) * 1000)
+      };
+    }
+  };
+};
+
+module.exports = createMemoryRateLimitStore;
@@ -0,0 +1,53 @@
+// Refill and take from a bucket atomically. Uses the Redis clock so every
+// instance agrees on elapsed time.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+
+tokens = math.min(capacity, tokens + (now - updatedAt) / 1000 * rate)
+
+local allowed = 0
+local retryAfter = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retryAfter = math.ceil((cost - tokens) / rate * 1000)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate * 1000) + 1000)
+
+return { allowed, math.floor(tokens), retryAfter }
+`;
+
+// Token buckets shared by every server instance through Redis
+const createRedisRateLimitStore = ({ client, keyPrefix = 'ratelimit' }) => {
+  if (!client.takeToken) {
+    client.defineCommand('takeToken', { numberOfKeys: 1, lua: TAKE_TOKEN_SCRIPT });
+  }
+
+  return {
+    name: 'redis',
+
+    async take(key, { capacity, refillPerSecond, cost = 1 }) {
+      const [allowed, remaining, retryAfterMs] = await client.takeToken(
+        `${keyPrefix}:${key}`,
+        capacity,
+        refillPerSecond,
+        cost
+      );
+
+      return { allowed: allowed === 1, remaining, retryAfterMs };
+    }
+  };
+};
+
+module.exports = createRedisRateLimitStore;
@@ -0,0 +1,528 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { suspendUser, unsuspendUser, deleteAccount, findAccount } = require('../services/accounts');
+const { removeMessage } = require('../services/messages');
+const { getRetentionDays, setRetentionDays } = require('../services/retention');
+const { filterOnline, getOnlineUsers } = require('../presence');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Format a user for the admin console
+const formatUser = (user, isOnline) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isOnline,
+  lastSeen: user.lastSeen,
+  suspendedAt: user.suspendedAt,
+  suspendedReason: user.suspendedReason,
+  deletedAt: user.deletedAt,
+  createdAt: user.createdAt
+});
+
+// Refuse admin actions on the admin's own account
+const assertNotSelf = (req, userId) => {
+  if (userId === req.user._id.toString()) {
+    throw new AppError(400, 'You cannot do this to your own account');
+  }
+};
+
+// @route   GET /admin/users?q=&status=active|suspended|deleted&page=&limit=
+// @desc    List users, newest first, filtered by username or email and status
+// @access  Private (admins)
+router.get('/users', auth, requireAdmin, async (req, res) => {
+  try {
+    const { q, status, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(String(q).trim()), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    if (status === 'active') {
+      filter.suspendedAt = null;
+      filter.deletedAt = null;
+    } else if (status === 'suspended') {
+      filter.suspendedAt = { $ne: null };
+      filter.deletedAt = null;
+    } else if (status === 'deleted') {
+      filter.deletedAt = { $ne: null };
+    } else if (status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: active, suspended, deleted'
+      });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password -blockedUsers')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      User.countDocuments(filter)
+    ]);
+
+    const onlineIds = new Set(await filterOnline(users.map(user => user._id)));
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => formatUser(user, onlineIds.has(user._id.toString()))),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          hasMore: pageNumber * pageSize < total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   PATCH /admin/users/:id/role
+// @desc    Grant or revoke admin rights
+// @access  Private (admins)
+router.patch('/users/:id/role', auth, requireAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!['user', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be user or admin'
+      });
+    }
+
+    assertNotSelf(req, req.params.id);
+
+    const user = await findAccount(req.params.id);
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: {
+        user: formatUser(user, (await filterOnline([user._id])).length > 0)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role'
+    });
+  }
+});
+
+// @route   POST /admin/users/:id/suspend
+// @desc    Suspend a user, ending their sessions and disconnecting their sockets
+// @access  Private (admins)
+router.post('/users/:id/suspend', auth, requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    assertNotSelf(req, req.params.id);
+
+    const user = await suspendUser(req.app.get('io'), req.params.id, {
+      reason: typeof reason === 'string' ? reason.trim() : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended',
+      data: {
+        user: formatUser(user, false)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while suspending user'
+    });
+  }
+});
+
+// @route   DELETE /admin/users/:id/suspend
+// @desc    Lift a suspension
+// @access  Private (admins)
+router.delete('/users/:id/suspend', auth, requireAdmin, async (req, res) => {
+  try {
+    const user = await unsuspendUser(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted',
+      data: {
+        user: formatUser(user, false)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Admin unsuspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while lifting suspension'
+    });
+  }
+});
+
+// @route   DELETE /admin/users/:id
+// @desc    Delete a user account; their messages remain under an anonymized sender
+// @access  Private (admins)
+router.delete('/users/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    assertNotSelf(req, req.params.id);
+
+    await deleteAccount(req.app.get('io'), req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User deleted'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Admin delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting user'
+    });
+  }
+});
+
+// @route   GET /admin/reports?status=open|reviewed|dismissed&page=&limit=
+// @desc    List user reports, newest first
+// @access  Private (admins)
+router.get('/reports', auth, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+
+    if (!['open', 'reviewed', 'dismissed', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: open, reviewed, dismissed, all'
+      });
+    }
+
+    const filter = status === 'all' ? {} : { status };
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('reporter reportedUser reviewedBy', 'username'),
+      Report.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(report => report.toClientJSON()),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          hasMore: pageNumber * pageSize < total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reports'
+    });
+  }
+});
+
+// @route   PATCH /admin/reports/:id
+// @desc    Mark a report reviewed or dismissed, with an optional resolution note
+// @access  Private (admins)
+router.patch('/reports/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const { status, resolution } = req.body;
+
+    if (!['reviewed', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be reviewed or dismissed'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    report.status = status;
+    report.resolution = resolution;
+    report.reviewedBy = req.user._id;
+    report.reviewedAt = new Date();
+    await report.save();
+
+    await report.populate('reporter reportedUser reviewedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Report updated',
+      data: {
+        report: report.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Admin update report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating report'
+    });
+  }
+});
+
+// @route   DELETE /admin/messages/:id
+// @desc    Remove a message for everyone, whoever sent it and whenever
+// @access  Private (admins)
+router.delete('/messages/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const message = await removeMessage(req.app.get('io'), req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Message removed',
+      data: {
+        message: {
+          id: message._id,
+          conversationId: message.conversation,
+          deletedAt: message.deletedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Admin remove message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing message'
+    });
+  }
+});
+
+// @route   GET /admin/retention
+// @desc    Get the global message retention period
+// @access  Private (admins)
+router.get('/retention', auth, requireAdmin, async (req, res) => {
+  try {
+    const retentionDays = await getRetentionDays();
+
+    res.json({
+      success: true,
+      data: { retentionDays }
+    });
+
+  } catch (error) {
+    console.error('Get retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching retention'
+    });
+  }
+});
+
+// @route   PUT /admin/retention
+// @desc    Set the global message retention period: { retentionDays }, or null to
+//          keep messages forever. Older messages and their attachments are purged.
+// @access  Private (admins)
+router.put('/retention', auth, requireAdmin, async (req, res) => {
+  try {
+    const { retentionDays } = req.body;
+
+    if (retentionDays === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'retentionDays is required, use null to keep messages forever'
+      });
+    }
+
+    const value = await setRetentionDays(retentionDays, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Retention updated successfully',
+      data: { retentionDays: value }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating retention'
+    });
+  }
+});
+
+// @route   GET /admin/stats
+// @desc    Server statistics: users, connected sockets and message throughput
+// @access  Private (admins)
+router.get('/stats', auth, requireAdmin, async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    const now = Date.now();
+    const messagesSince = (ms) => Message.countDocuments({ createdAt: { $gte: new Date(now - ms) } });
+
+    // fetchSockets counts sockets on every instance when clustered
+    const [
+      totalUsers,
+      suspendedUsers,
+      onlineUsers,
+      sockets,
+      totalMessages,
+      lastMinute,
+      lastHour,
+      lastDay,
+      openReports
+    ] = await Promise.all([
+      User.countDocuments({ deletedAt: null }),
+      User.countDocuments({ deletedAt: null, suspendedAt: { $ne: null } }),
+      getOnlineUsers(),
+      io.fetchSockets(),
+      Message.estimatedDocumentCount(),
+      messagesSince(60 * 1000),
+      messagesSince(60 * 60 * 1000),
+      messagesSince(24 * 60 * 60 * 1000),
+      Report.countDocuments({ status: 'open' })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: {
+          total: totalUsers,
+          suspended: suspendedUsers,
+          online: onlineUsers.length
+        },
+        sockets: {
+          connected: sockets.length,
+          thisInstance: io.engine.clientsCount
+        },
+        messages: {
+          total: totalMessages,
+          lastMinute,
+          lastHour,
+          lastDay,
+          perMinuteLastHour: Math.round((lastHour / 60) * 100) / 100
+        },
+        reports: {
+          open: openReports
+        },
+        process: {
+          uptime: process.uptime(),
+          memory: process.memoryUsage().rss
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stats'
+    });
+  }
+});
+
+module.exports = router;
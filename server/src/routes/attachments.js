@@ -0,0 +1,128 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const uploadConfig = require('../config/uploads');
+const { auth } = require('../middleware/auth');
+const { singleFileUpload } = require('../middleware/upload');
+const { storeUpload, canAccessAttachment } = require('../services/attachments');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Parse a single file from the multipart field "file"
+const uploadSingleFile = singleFileUpload('file', {
+  maxFileSize: uploadConfig.maxFileSize,
+  allowedMimeTypes: uploadConfig.allowedMimeTypes
+});
+
+// Load an attachment the current user may download
+const findAccessibleAttachment = async (attachmentId, userId) => {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    return null;
+  }
+
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment || !(await canAccessAttachment(attachment, userId))) {
+    return null;
+  }
+
+  return attachment;
+};
+
+// @route   POST /attachments
+// @desc    Upload a file to attach to a message (multipart field "file")
+// @access  Private
+router.post('/', auth, uploadSingleFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a file'
+      });
+    }
+
+    const attachment = await storeUpload(req.file, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        attachment: attachment.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading file'
+    });
+  }
+});
+
+// @route   GET /attachments/:id
+// @desc    Download an attachment
+// @access  Private (uploader and conversation members)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const attachment = await findAccessibleAttachment(req.params.id, req.user._id);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    sendStoredFile(res, attachment.storageKey, {
+      contentType: attachment.mimeType,
+      fileName: attachment.fileName,
+      inline: attachment.kind === 'image'
+    });
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading file'
+    });
+  }
+});
+
+// @route   GET /attachments/:id/thumbnail
+// @desc    Download the thumbnail of an image attachment
+// @access  Private (uploader and conversation members)
+router.get('/:id/thumbnail', auth, async (req, res) => {
+  try {
+    const attachment = await findAccessibleAttachment(req.params.id, req.user._id);
+    if (!attachment || !attachment.thumbnailKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+
+    sendStoredFile(res, attachment.thumbnailKey, {
+      contentType: 'image/webp',
+      fileName: `${attachment.fileName}.webp`,
+      inline: true
+    });
+
+  } catch (error) {
+    console.error('Download thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading thumbnail'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,53 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const rateLimits = require('../config/rateLimits');
+const { createSession, rotateSession, revokeSession } = require('../services/sessions');
+const {
+  isEmailVerificationRequired,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+} = require('../services/emailTokens');
+const {
+  createChallenge,
+  completeChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../services/twoFactor');
+const { presenceFields } = require('../services/presence');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Finish signing a user in: start a session and build the login response data
+const signIn = async (user, req) => {
+  // Start session and issue tokens
+  const { tokens } = await createSession(user._id, req);
+
+  return {
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      isOnline: user.isOnline
+    }
+  };
 };
 
 // @route   POST /auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register', rateLimits.http.register), async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
@@ -55,20 +89,38 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send in the background: a slow or failed email should not hold up or
+    // fail the registration, the user can ask again
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    const userData = {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      isOnline: user.isOnline
+    };
+
+    // Users sign in once they have verified their address
+    if (isEmailVerificationRequired()) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Check your email to verify your address.',
+        data: {
+          user: userData
+        }
+      });
+    }
+
+    // Start session and issue tokens
+    const { tokens } = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          isOnline: user.isOnline
-        }
+        ...tokens,
+        user: userData
       }
     });
 
@@ -101,7 +153,7 @@ router.post('/register', async (req, res) => {
 // @route   POST /auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login', rateLimits.http.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -113,8 +165,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Find user by email
-    const user = await User.findOne({ email });
+    // Find user by email, bots only authenticate with API keys
+    const user = await User.findOne({ email, isBot: { $ne: true } });
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -131,33 +183,401 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Update user online status
-    user.isOnline = true;
-    user.lastSeen = new Date();
-    await user.save();
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!user.emailVerified && isEmailVerificationRequired()) {
+      return res.status(403).json({
+        success: false,
+        code: 'email_not_verified',
+        message: 'Please verify your email address before signing in'
+      });
+    }
+
+    // With two-factor authentication on, the password only earns a challenge
+    // to complete with POST /auth/login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          ...createChallenge(user)
+        }
+      });
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
+      data: await signIn(user, req)
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /auth/login/2fa
+// @desc    Complete a two-step login with the challenge token and an authenticator or backup code
+// @access  Public
+router.post('/login/2fa', rateLimit('login-2fa', rateLimits.http.login), async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and an authentication code or backup code'
+      });
+    }
+
+    const user = await completeChallenge(challengeToken, { code, backupCode });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await signIn(user, req)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        twoFactor: await getTwoFactorStatus(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+});
+
+// @route   POST /auth/2fa/setup
+// @desc    Start two-factor enrollment; returns the secret and an otpauth URI to show as a QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const enrollment = await beginEnrollment(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code from it',
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app; returns backup codes once
+// @access  Private
+router.post('/2fa/enable', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const backupCodes = await confirmEnrollment(req.user._id, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe.',
+      data: {
+        backupCodes
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /auth/2fa/backup-codes
+// @desc    Replace the backup codes; requires the password and a code
+// @access  Private
+router.post('/2fa/backup-codes', auth, rateLimit('reauth', rateLimits.http.login), async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const backupCodes = await regenerateBackupCodes(req.user._id, { password, code, backupCode });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated, the old ones no longer work',
+      data: {
+        backupCodes
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes'
+    });
+  }
+});
+
+// @route   POST /auth/2fa/disable
+// @desc    Turn two-factor authentication off; requires the password and a code
+// @access  Private
+router.post('/2fa/disable', auth, rateLimit('reauth', rateLimits.http.login), async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    await disableTwoFactor(req.user._id, { password, code, backupCode });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /auth/verify-email
+// @desc    Verify an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    const user = await verifyEmail(token);
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
       data: {
-        token,
         user: {
           id: user._id,
-          username: user.username,
           email: user.email,
-          isOnline: user.isOnline
+          emailVerified: user.emailVerified
         }
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify email error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   POST /auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', rateLimit('email', rateLimits.http.email), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    // Not awaited, so the answer takes as long whether or not the address is registered
+    const user = await User.findOne({ email: email.toLowerCase().trim(), deletedAt: null });
+    if (user) {
+      sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+    }
+
+    // Same answer whether or not the address is registered
+    res.json({
+      success: true,
+      message: 'If that address needs verifying, a new verification email is on its way'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit('email', rateLimits.http.email), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    // Not awaited: how long sending takes, or a failure, would reveal that the
+    // address is registered
+    requestPasswordReset(email).catch(error => console.error('Password reset email error:', error));
+
+    res.json({
+      success: true,
+      message: 'If an account uses that address, a password reset email is on its way'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /auth/reset-password
+// @desc    Set a new password with a reset token; ends every session of the user
+// @access  Public
+router.post('/reset-password', rateLimit('reset-password', rateLimits.http.login), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    await resetPassword(req.app.get('io'), token, password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please sign in with your new password'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', rateLimit('refresh', rateLimits.http.refresh), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const { tokens } = await rotateSession(req.app.get('io'), refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
     });
   }
 });
@@ -167,11 +587,9 @@ router.post('/login', async (req, res) => {
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
   try {
-    // Update user offline status
-    await User.findByIdAndUpdate(req.user._id, {
-      isOnline: false,
-      lastSeen: new Date()
-    });
+    // End this device's session and disconnect its sockets, the user goes
+    // offline when the last of them disconnects
+    await revokeSession(req.app.get('io'), req.authSession);
 
     res.json({
       success: true,
@@ -196,11 +614,12 @@ router.get('/me', auth, async (req, res) => {
       success: true,
       data: {
         user: {
-          id: req.user._id,
-          username: req.user.username,
+          ...req.user.toProfileJSON(),
           email: req.user.email,
-          isOnline: req.user.isOnline,
-          lastSeen: req.user.lastSeen
+          emailVerified: req.user.emailVerified,
+          twoFactorEnabled: req.user.twoFactor.enabled,
+          role: req.user.role,
+          ...presenceFields(req.user, req.user._id)
         }
       }
     });
@@ -213,4 +632,75 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   GET /auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toClientJSON(req.authSession._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /auth/sessions/:id
+// @desc    Revoke one of the current user's sessions and sign that device out
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(req.app.get('io'), session);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        sessionId: session._id
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
 module.exports = router;
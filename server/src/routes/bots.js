@@ -0,0 +1,226 @@
+const express = require('express');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const {
+  createBot,
+  deleteBot,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../services/bots');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Format a bot for its owner
+const formatBot = (bot) => ({
+  ...bot.toProfileJSON(),
+  createdAt: bot.createdAt
+});
+
+// @route   POST /bots
+// @desc    Create a bot account: { username, displayName }
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { username, displayName } = req.body;
+
+    const bot = await createBot(req.user._id, { username, displayName });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bot created successfully',
+      data: {
+        bot: formatBot(bot)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    console.error('Create bot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating bot'
+    });
+  }
+});
+
+// @route   GET /bots
+// @desc    List the current user's bots
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const bots = await User.find({ botOwner: req.user._id, isBot: true, deletedAt: null })
+      .select('-password')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        bots: bots.map(formatBot)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bots'
+    });
+  }
+});
+
+// @route   DELETE /bots/:id
+// @desc    Delete a bot, its API keys stop working
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await deleteBot(req.app.get('io'), req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Bot deleted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Delete bot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting bot'
+    });
+  }
+});
+
+// @route   POST /bots/:id/keys
+// @desc    Create an API key for a bot: { name, scopes, expiresInDays }. The key is
+//          only returned here, bots send it as "Authorization: Bot <key>"
+// @access  Private
+router.post('/:id/keys', auth, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, key } = await createApiKey(req.user._id, req.params.id, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store it now, it will not be shown again.',
+      data: {
+        apiKey: apiKey.toClientJSON(),
+        key
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// @route   GET /bots/:id/keys
+// @desc    List a bot's API keys, without the keys themselves
+// @access  Private
+router.get('/:id/keys', auth, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(apiKey => apiKey.toClientJSON())
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @route   DELETE /bots/:id/keys/:keyId
+// @desc    Revoke a bot's API key
+// @access  Private
+router.delete('/:id/keys/:keyId', auth, async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.user._id, req.params.id, req.params.keyId);
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: {
+        apiKey: apiKey.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
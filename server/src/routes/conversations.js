@@ -0,0 +1,700 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { auth, authOrApiKey } = require('../middleware/auth');
+const { apiKeyRateLimit } = require('../middleware/rateLimit');
+const rateLimits = require('../config/rateLimits');
+const { filterOnline } = require('../presence');
+const { presenceFields } = require('../services/presence');
+const { setDisappearingTimer } = require('../services/retention');
+const {
+  userRoom,
+  conversationRoom,
+  joinConversationRoom,
+  leaveConversationRoom
+} = require('../socket/rooms');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Find a conversation the current user belongs to, with member usernames
+const findMemberConversation = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId)
+    .populate('members.user', 'username');
+
+  if (!conversation || !conversation.isMember(userId)) {
+    return null;
+  }
+
+  return conversation;
+};
+
+// Validate a list of user ids and return the ids of users that exist
+const findExistingUserIds = async (userIds) => {
+  if (!Array.isArray(userIds) || !userIds.every(id => mongoose.isValidObjectId(id))) {
+    return null;
+  }
+
+  const users = await User.find({ _id: { $in: userIds }, deletedAt: null }).select('_id');
+  return users.length === new Set(userIds.map(String)).size
+    ? users.map(user => user._id.toString())
+    : null;
+};
+
+// Conversation list cursors are "<lastActivityAt ms>_<conversation id>"
+const encodeListCursor = (conversation) => {
+  return `${conversation.lastActivityAt.getTime()}_${conversation._id}`;
+};
+
+const decodeListCursor = (cursor) => {
+  const [time, id] = String(cursor).split('_');
+  const lastActivityAt = new Date(Number(time));
+
+  if (!time || isNaN(lastActivityAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  return { lastActivityAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+// @route   GET /conversations?before=&limit=
+// @desc    List the current user's conversations by most recent activity, with
+//          last message, unread count and partner presence
+// @access  Private, or bots with the conversations:read scope
+router.get('/', authOrApiKey('conversations:read'), apiKeyRateLimit(rateLimits.http.bots), async (req, res) => {
+  try {
+    const { before, limit = 20 } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+    const cursor = before ? decodeListCursor(before) : null;
+    if (before && !cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    // One query for the page, plus one each to load members and last messages, and the presence and block lookups
+    const conversations = await Conversation.listForUser(req.user._id, {
+      before: cursor,
+      limit: pageSize + 1
+    });
+
+    const page = conversations.slice(0, pageSize);
+    const userId = req.user._id.toString();
+
+    const partners = new Map(page
+      .filter(conversation => conversation.type === 'direct')
+      .map(conversation => [
+        conversation._id.toString(),
+        conversation.members.find(member => member.user._id.toString() !== userId)
+      ]));
+    const onlinePartnerIds = new Set(await filterOnline(
+      Array.from(partners.values()).map(partner => partner.user._id)
+    ));
+
+    // Presence is hidden on both sides of a block
+    const blockedRelations = new Set(await User.getBlockedRelations(req.user._id));
+
+    const formattedConversations = page.map(conversation => {
+      const partner = partners.get(conversation._id.toString());
+      const presenceHidden = partner && blockedRelations.has(partner.user._id.toString());
+
+      return {
+        ...conversation.toClientJSON(req.user._id),
+        lastMessage: conversation.lastMessage
+          ? conversation.lastMessage.toClientJSON(req.user._id)
+          : null,
+        partner: partner ? {
+          id: partner.user._id,
+          username: partner.user.username,
+          ...presenceFields(partner.user, req.user._id, {
+            hidden: presenceHidden,
+            connected: onlinePartnerIds.has(partner.user._id.toString())
+          })
+        } : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conversations: formattedConversations,
+        pagination: {
+          limit: pageSize,
+          nextCursor: conversations.length > pageSize ? encodeListCursor(page[page.length - 1]) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching conversations'
+    });
+  }
+});
+
+// @route   POST /conversations
+// @desc    Create a group conversation
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+
+    // Validation
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group name is required'
+      });
+    }
+
+    const userIds = await findExistingUserIds(memberIds);
+    if (!userIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member IDs must be a list of existing users'
+      });
+    }
+
+    const creatorId = req.user._id.toString();
+    const otherIds = userIds.filter(id => id !== creatorId);
+
+    const conversation = new Conversation({
+      type: 'group',
+      name: name.trim(),
+      createdBy: creatorId,
+      members: [
+        { user: creatorId, role: 'admin' },
+        ...otherIds.map(id => ({ user: id, role: 'member' }))
+      ]
+    });
+
+    await conversation.save();
+    await conversation.populate('members.user', 'username');
+
+    // Subscribe members' sockets and let them know about the new group
+    const io = req.app.get('io');
+    joinConversationRoom(io, conversation._id, conversation.memberIds());
+    io.to(conversationRoom(conversation._id)).emit('conversation:created', conversation.toClientJSON());
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation created successfully',
+      data: {
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create conversation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating conversation'
+    });
+  }
+});
+
+// @route   GET /conversations/:id
+// @desc    Get conversation details
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const conversation = await findMemberConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching conversation'
+    });
+  }
+});
+
+// @route   PATCH /conversations/:id
+// @desc    Rename a group conversation
+// @access  Private (group admins)
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group name is required'
+      });
+    }
+
+    const conversation = await findMemberConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'Direct conversations cannot be renamed'
+      });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can rename the conversation'
+      });
+    }
+
+    conversation.name = name.trim();
+    await conversation.save();
+
+    req.app.get('io')
+      .to(conversationRoom(conversation._id))
+      .emit('conversation:updated', conversation.toClientJSON());
+
+    res.json({
+      success: true,
+      message: 'Conversation renamed successfully',
+      data: {
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming conversation'
+    });
+  }
+});
+
+// @route   PUT /conversations/:id/mute
+// @desc    Mute a conversation for the current user, for `duration` minutes or until unmuted
+// @access  Private
+router.put('/:id/mute', auth, async (req, res) => {
+  try {
+    const { duration } = req.body;
+
+    if (duration !== undefined && duration !== null && !(Number(duration) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duration must be a positive number of minutes'
+      });
+    }
+
+    const conversation = await findMemberConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const member = conversation.getMember(req.user._id);
+    member.muted = true;
+    member.mutedUntil = duration ? new Date(Date.now() + Number(duration) * 60 * 1000) : undefined;
+    await conversation.save();
+
+    // Keep the user's other devices in sync
+    req.app.get('io')
+      .to(userRoom(req.user._id))
+      .emit('conversation:updated', conversation.toClientJSON(req.user._id));
+
+    res.json({
+      success: true,
+      message: 'Conversation muted',
+      data: {
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Mute conversation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while muting conversation'
+    });
+  }
+});
+
+// @route   DELETE /conversations/:id/mute
+// @desc    Unmute a conversation for the current user
+// @access  Private
+router.delete('/:id/mute', auth, async (req, res) => {
+  try {
+    const conversation = await findMemberConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const member = conversation.getMember(req.user._id);
+    member.muted = false;
+    member.mutedUntil = undefined;
+    await conversation.save();
+
+    req.app.get('io')
+      .to(userRoom(req.user._id))
+      .emit('conversation:updated', conversation.toClientJSON(req.user._id));
+
+    res.json({
+      success: true,
+      message: 'Conversation unmuted',
+      data: {
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Unmute conversation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unmuting conversation'
+    });
+  }
+});
+
+// @route   PUT /conversations/:id/disappearing
+// @desc    Set the disappearing message timer: { messageTtl } in seconds, or null to
+//          turn it off. New messages are removed that long after they are sent,
+//          and the change is announced to the conversation.
+// @access  Private (group admins, or either member of a direct conversation)
+router.put('/:id/disappearing', auth, async (req, res) => {
+  try {
+    const { messageTtl } = req.body;
+
+    if (messageTtl === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'messageTtl is required, use null to turn disappearing messages off'
+      });
+    }
+
+    const { conversation, message } = await setDisappearingTimer(
+      req.app.get('io'),
+      req.params.id,
+      req.user._id,
+      messageTtl
+    );
+
+    res.json({
+      success: true,
+      message: messageTtl
+        ? 'Disappearing messages turned on'
+        : 'Disappearing messages turned off',
+      data: {
+        conversation: conversation.toClientJSON(req.user._id),
+        message: message ? message.toClientJSON(req.user._id) : null
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Set disappearing messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing disappearing messages'
+    });
+  }
+});
+
+// @route   POST /conversations/:id/members
+// @desc    Add members to a group conversation
+// @access  Private (group admins)
+router.post('/:id/members', auth, async (req, res) => {
+  try {
+    const { userIds: requestedIds } = req.body;
+
+    const userIds = await findExistingUserIds(requestedIds);
+    if (!userIds || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'User IDs must be a non-empty list of existing users'
+      });
+    }
+
+    const conversation = await findMemberConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'Members cannot be added to direct conversations'
+      });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add members'
+      });
+    }
+
+    const addedIds = userIds.filter(id => !conversation.isMember(id));
+    addedIds.forEach(id => conversation.members.push({ user: id, role: 'member' }));
+
+    await conversation.save();
+    await conversation.populate('members.user', 'username');
+
+    const io = req.app.get('io');
+    joinConversationRoom(io, conversation._id, addedIds);
+    io.to(conversationRoom(conversation._id)).emit('conversation:updated', conversation.toClientJSON());
+
+    res.json({
+      success: true,
+      message: 'Members added successfully',
+      data: {
+        addedIds,
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add members error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding members'
+    });
+  }
+});
+
+// @route   PATCH /conversations/:id/members/:userId
+// @desc    Change a member's role in a group conversation
+// @access  Private (group admins)
+router.patch('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be admin or member'
+      });
+    }
+
+    const conversation = await findMemberConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (conversation.type !== 'group' || !conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can change member roles'
+      });
+    }
+
+    const member = conversation.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // A group always keeps at least one admin
+    const adminCount = conversation.members.filter(entry => entry.role === 'admin').length;
+    if (member.role === 'admin' && role === 'member' && adminCount === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A group must have at least one admin'
+      });
+    }
+
+    member.role = role;
+    await conversation.save();
+
+    req.app.get('io')
+      .to(conversationRoom(conversation._id))
+      .emit('conversation:updated', conversation.toClientJSON());
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update member role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating member role'
+    });
+  }
+});
+
+// @route   DELETE /conversations/:id/members/:userId
+// @desc    Remove a member from a group conversation, or leave it
+// @access  Private (group admins, or the member themselves)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const { userId: memberId } = req.params;
+
+    const conversation = await findMemberConversation(req.params.id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'Members cannot be removed from direct conversations'
+      });
+    }
+
+    const isSelf = memberId === req.user._id.toString();
+    if (!isSelf && !conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can remove members'
+      });
+    }
+
+    if (!conversation.removeMember(memberId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    await conversation.save();
+
+    const io = req.app.get('io');
+    leaveConversationRoom(io, conversation._id, [memberId]);
+    io.to(userRoom(memberId)).emit('conversation:removed', {
+      conversationId: conversation._id,
+      removedBy: req.user._id
+    });
+    io.to(conversationRoom(conversation._id)).emit('conversation:updated', conversation.toClientJSON());
+
+    res.json({
+      success: true,
+      message: isSelf ? 'Left conversation successfully' : 'Member removed successfully',
+      data: {
+        conversation: conversation.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const ExportJob = require('../models/ExportJob');
+const { auth } = require('../middleware/auth');
+const { findOwnedExport, requestExport, deleteExport } = require('../services/exports');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// @route   POST /exports
+// @desc    Start exporting a conversation or the whole account in the background:
+//          { scope: 'conversation' | 'account', conversationId, format: 'json' | 'text' | 'html' }.
+//          HTML exports are a zip with the attachments. Progress is sent as
+//          export:progress events, and export:completed when it can be downloaded.
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { scope, conversationId, format } = req.body;
+
+    const job = await requestExport(req.user._id, { scope, conversationId, format });
+
+    res.status(202).json({
+      success: true,
+      message: 'Export started',
+      data: {
+        export: job.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Request export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting export'
+    });
+  }
+});
+
+// @route   GET /exports
+// @desc    List the current user's exports, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        exports: jobs.map(job => job.toClientJSON())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exports'
+    });
+  }
+});
+
+// @route   GET /exports/:id
+// @desc    Get an export's status and progress
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const job = await findOwnedExport(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        export: job.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching export'
+    });
+  }
+});
+
+// @route   GET /exports/:id/download
+// @desc    Download a finished export
+// @access  Private
+router.get('/:id/download', auth, async (req, res) => {
+  try {
+    const job = await findOwnedExport(req.user._id, req.params.id);
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Export is not ready yet'
+      });
+    }
+
+    sendStoredFile(res, job.fileKey, {
+      contentType: job.contentType,
+      fileName: job.fileName,
+      inline: false
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Download export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading export'
+    });
+  }
+});
+
+// @route   DELETE /exports/:id
+// @desc    Delete an export and its file, stopping it if it is still running
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await deleteExport(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Export deleted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Delete export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting export'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const rateLimits = require('../config/rateLimits');
+const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  publishKeys,
+  addOneTimePreKeys,
+  getKeyStatus,
+  claimKeyBundle,
+  removeKeys
+} = require('../services/keys');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Every claim uses up one of the target's one-time prekeys, so claims are
+// limited per requesting user
+const limitClaims = rateLimit('keys-claim', rateLimits.http.keyClaims, {
+  keyGenerator: (req) => req.user._id.toString()
+});
+
+// @route   GET /keys/me
+// @desc    Get the status of the current user's published keys
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    const keys = await getKeyStatus(req.user._id);
+
+    res.json({
+      success: true,
+      data: { keys }
+    });
+
+  } catch (error) {
+    console.error('Get key status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching keys'
+    });
+  }
+});
+
+// @route   PUT /keys/me
+// @desc    Publish the current user's identity key, signed prekey and one-time prekeys,
+//          opting in to end-to-end encrypted direct messages
+// @access  Private
+router.put('/me', auth, async (req, res) => {
+  try {
+    const { identityKey, signedPreKey, oneTimePreKeys } = req.body;
+
+    const { identityChanged } = await publishKeys(req.app.get('io'), req.user._id, {
+      identityKey,
+      signedPreKey,
+      oneTimePreKeys
+    });
+
+    res.json({
+      success: true,
+      message: identityChanged ? 'Keys published successfully' : 'Keys updated successfully',
+      data: {
+        keys: await getKeyStatus(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    // Two devices published at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Keys were published concurrently, please retry'
+      });
+    }
+
+    console.error('Publish keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while publishing keys'
+    });
+  }
+});
+
+// @route   POST /keys/me/prekeys
+// @desc    Upload more one-time prekeys
+// @access  Private
+router.post('/me/prekeys', auth, async (req, res) => {
+  try {
+    const bundle = await addOneTimePreKeys(req.user._id, req.body.oneTimePreKeys);
+
+    res.json({
+      success: true,
+      message: 'Prekeys uploaded successfully',
+      data: {
+        oneTimePreKeyCount: bundle.oneTimePreKeys.length
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Upload prekeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading prekeys'
+    });
+  }
+});
+
+// @route   DELETE /keys/me
+// @desc    Remove the current user's keys, partners are told their safety number changed
+// @access  Private
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const removed = await removeKeys(req.app.get('io'), req.user._id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'No keys published'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Keys removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing keys'
+    });
+  }
+});
+
+// @route   GET /keys/:userId
+// @desc    Get a user's key bundle, with one of their one-time prekeys, to start
+//          an encrypted session with them
+// @access  Private
+router.get('/:userId', auth, limitClaims, async (req, res) => {
+  try {
+    const bundle = await claimKeyBundle(req.app.get('io'), req.user._id, req.params.userId);
+
+    res.json({
+      success: true,
+      data: { bundle }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Get key bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching keys'
+    });
+  }
+});
+
+module.exports = router;
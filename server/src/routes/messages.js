@@ -1,65 +1,205 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
-const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Conversation = require('../models/Conversation');
+const { auth, authOrApiKey } = require('../middleware/auth');
+const { apiKeyRateLimit } = require('../middleware/rateLimit');
+const rateLimits = require('../config/rateLimits');
+const {
+  sendMessage,
+  markConversationDelivered,
+  markConversationRead,
+  markMessageRead,
+  findMemberMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction
+} = require('../services/messages');
+const { AppError } = require('../utils/errors');
+const { buildSnippet } = require('../utils/snippets');
 
 const router = express.Router();
 
-// @route   GET /conversations/:id/messages
-// @desc    Get messages for a conversation
+// Default page size of GET /messages/conversations/:id/messages
+const CONVERSATION_PAGE_SIZE = 50;
+
+// Bot requests are limited per API key, on top of the per-IP limit
+const limitBots = apiKeyRateLimit(rateLimits.http.bots);
+
+// @route   GET /messages/search?q=&with=&conversationId=&senderId=&from=&to=
+// @desc    Search messages across the user's conversations
 // @access  Private
-router.get('/conversations/:id/messages', auth, async (req, res) => {
+router.get('/search', auth, async (req, res) => {
+  try {
+    const { q, with: partnerId, conversationId, senderId, from, to, page = 1, limit = 20 } = req.query;
+
+    // Validation
+    if (typeof q !== 'string' || q.trim().length < 2 || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be between 2 and 200 characters'
+      });
+    }
+
+    const ids = [partnerId, conversationId, senderId].filter(Boolean);
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user or conversation ID'
+      });
+    }
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ([fromDate, toDate].some(date => date && isNaN(date.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be valid ISO 8601 timestamps'
+      });
+    }
+
+    // Only search conversations the user belongs to, narrowed by the filters
+    const conversationFilter = { 'members.user': req.user._id };
+    if (conversationId) conversationFilter._id = conversationId;
+    if (partnerId) {
+      conversationFilter.type = 'direct';
+      conversationFilter['members.user'] = { $all: [req.user._id, partnerId] };
+    }
+    const conversationIds = await Conversation.find(conversationFilter).distinct('_id');
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+    const messages = await Message.search(q.trim(), {
+      conversationIds,
+      viewerId: req.user._id,
+      senderId,
+      from: fromDate,
+      to: toDate,
+      skip: (pageNumber - 1) * pageSize,
+      limit: pageSize
+    });
+
+    const results = messages.map(message => ({
+      ...buildSnippet(message.text, q),
+      message: {
+        id: message._id,
+        conversationId: message.conversation,
+        sender: {
+          id: message.sender._id,
+          username: message.sender.username
+        },
+        createdAt: message.createdAt,
+        isFromMe: message.sender._id.toString() === req.user._id.toString()
+      },
+      // Open with GET /messages/conversations/:conversationId/messages?around=:messageId
+      location: {
+        conversationId: message.conversation,
+        around: message._id
+      }
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          hasMore: messages.length === pageSize
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching messages'
+    });
+  }
+});
+
+// @route   GET /conversations/:id/messages?before=|after=|around=&limit=
+// @desc    Get messages for a conversation. Cursors are message ids or timestamps;
+//          prevCursor loads older messages (as before), nextCursor newer ones (as after)
+// @access  Private, or bots with the messages:read scope
+router.get('/conversations/:id/messages', authOrApiKey('messages:read'), limitBots, async (req, res) => {
   try {
-    const { id: otherUserId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after, around, limit = CONVERSATION_PAGE_SIZE } = req.query;
 
-    // Validate other user exists
-    const otherUser = await User.findById(otherUserId);
-    if (!otherUser) {
+    const cursors = { before, after, around };
+    const cursorNames = Object.keys(cursors).filter(name => cursors[name] !== undefined);
+    if (cursorNames.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use only one of before, after and around'
+      });
+    }
+
+    // Resolve conversation id, or other user's id for a direct chat
+    const resolved = await Conversation.resolveForUser(req.user._id, req.params.id);
+    if (!resolved) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Conversation not found'
+      });
+    }
+
+    const { conversation } = resolved;
+    const pageSize = Math.min(Math.max(parseInt(limit) || CONVERSATION_PAGE_SIZE, 1), 100);
+
+    // No message was sent to this user yet
+    if (!conversation) {
+      return res.json({
+        success: true,
+        data: {
+          conversationId: null,
+          messages: [],
+          pagination: { limit: pageSize, prevCursor: null, nextCursor: null, hasMore: false }
+        }
       });
     }
 
+    const position = {};
+    if (cursorNames.length === 1) {
+      const [name] = cursorNames;
+      position[name] = await Message.resolveCursor(conversation._id, String(cursors[name]));
+
+      if (!position[name]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} cursor`
+        });
+      }
+    }
+
     // Get messages for the conversation
-    const messages = await Message.getConversation(
+    const { messages, hasMoreBefore, hasMoreAfter } = await Message.getConversation(
+      conversation._id,
       req.user._id,
-      otherUserId,
-      parseInt(page),
-      parseInt(limit)
+      { ...position, limit: pageSize }
     );
 
-    // Mark messages from other user as delivered
-    await Message.markAsDelivered(otherUserId, req.user._id);
+    // Mark messages from other members as delivered
+    await markConversationDelivered(req.app.get('io'), conversation._id, req.user._id);
 
     // Format messages for response
-    const formattedMessages = messages.reverse().map(message => ({
-      id: message._id,
-      text: message.text,
-      sender: {
-        id: message.sender._id,
-        username: message.sender.username
-      },
-      receiver: {
-        id: message.receiver._id,
-        username: message.receiver.username
-      },
-      delivered: message.delivered,
-      read: message.read,
-      createdAt: message.createdAt,
-      updatedAt: message.updatedAt,
-      isFromMe: message.sender._id.toString() === req.user._id.toString()
-    }));
+    const formattedMessages = messages.map(message => message.toClientJSON(req.user._id));
+    const oldest = messages[0];
+    const newest = messages[messages.length - 1];
 
     res.json({
       success: true,
       data: {
+        conversationId: conversation._id,
         messages: formattedMessages,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          hasMore: messages.length === parseInt(limit)
+          limit: pageSize,
+          prevCursor: hasMoreBefore && oldest ? oldest._id : null,
+          nextCursor: hasMoreAfter && newest ? newest._id : null,
+          hasMore: hasMoreBefore
         }
       }
     });
@@ -70,7 +210,7 @@ router.get('/conversations/:id/messages', auth, async (req, res) => {
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid user ID'
+        message: 'Invalid conversation ID'
       });
     }
 
@@ -82,152 +222,342 @@ router.get('/conversations/:id/messages', auth, async (req, res) => {
 });
 
 // @route   POST /messages
-// @desc    Send a new message
-// @access  Private
-router.post('/', auth, async (req, res) => {
+// @desc    Send a new message, with text and attachments, or with an end-to-end
+//          encrypted payload { algorithm, header, ciphertext } in direct conversations.
+//          replyTo is the id of a message in the same conversation it answers.
+//          Bots post with an API key to conversations they belong to, and may
+//          only start direct conversations with their owner.
+// @access  Private, or bots with the messages:write scope
+router.post('/', authOrApiKey('messages:write'), limitBots, async (req, res) => {
   try {
-    const { receiverId, text } = req.body;
+    const { conversationId, receiverId, text, attachmentIds, encrypted, replyTo, clientMessageId } = req.body;
 
-    // Validation
-    if (!receiverId || !text) {
-      return res.status(400).json({
+    if (req.apiKey && !conversationId && String(receiverId) !== req.user.botOwner.toString()) {
+      return res.status(403).json({
         success: false,
-        message: 'Receiver ID and message text are required'
+        message: 'Bots can only start direct conversations with their owner'
       });
     }
 
-    if (text.trim().length === 0) {
+    const { message, duplicate } = await sendMessage(req.app.get('io'), req.user._id, {
+      conversationId,
+      receiverId,
+      text,
+      attachmentIds,
+      encrypted,
+      replyTo,
+      clientMessageId
+    });
+
+    const formattedMessage = message.toClientJSON(req.user._id);
+
+    // A retried send returns the message stored the first time
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'Message already sent' : 'Message sent successfully',
+      data: {
+        message: formattedMessage
+      }
+    });
+
+  } catch (error) {
+    console.error('Send message error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
         success: false,
-        message: 'Message text cannot be empty'
+        message: messages.join(', ')
       });
     }
 
-    // Validate receiver exists
-    const receiver = await User.findById(receiverId);
-    if (!receiver) {
-      return res.status(404).json({
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending message'
+    });
+  }
+});
+
+// @route   PATCH /messages/:id
+// @desc    Edit a message
+// @access  Private (sender)
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const message = await editMessage(req.app.get('io'), req.params.id, req.user._id, req.body.text);
+
+    res.json({
+      success: true,
+      message: 'Message updated successfully',
+      data: {
+        message: message.toClientJSON(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Edit message error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Receiver not found'
+        message: error.message
       });
     }
 
-    // Cannot send message to yourself
-    if (receiverId === req.user._id.toString()) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
         success: false,
-        message: 'Cannot send message to yourself'
+        message: messages.join(', ')
       });
     }
 
-    // Create new message
-    const message = new Message({
-      sender: req.user._id,
-      receiver: receiverId,
-      text: text.trim()
+    res.status(500).json({
+      success: false,
+      message: 'Server error while editing message'
     });
+  }
+});
 
-    await message.save();
+// @route   DELETE /messages/:id?scope=me|everyone
+// @desc    Delete a message for yourself, or for everyone within the time window
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { scope = 'me' } = req.query;
 
-    // Populate sender and receiver info
-    await message.populate('sender', 'username');
-    await message.populate('receiver', 'username');
+    if (!['me', 'everyone'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be me or everyone'
+      });
+    }
 
-    const formattedMessage = {
-      id: message._id,
-      text: message.text,
-      sender: {
-        id: message.sender._id,
-        username: message.sender.username
-      },
-      receiver: {
-        id: message.receiver._id,
-        username: message.receiver.username
-      },
-      delivered: message.delivered,
-      read: message.read,
-      createdAt: message.createdAt,
-      updatedAt: message.updatedAt,
-      isFromMe: true
-    };
-
-    res.status(201).json({
+    const message = await deleteMessage(req.app.get('io'), req.params.id, req.user._id, {
+      forEveryone: scope === 'everyone'
+    });
+
+    res.json({
       success: true,
-      message: 'Message sent successfully',
+      message: 'Message deleted successfully',
       data: {
-        message: formattedMessage
+        messageId: message._id,
+        scope
       }
     });
 
   } catch (error) {
-    console.error('Send message error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
+    console.error('Delete message error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Invalid receiver ID'
+        message: error.message
       });
     }
 
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting message'
+    });
+  }
+});
+
+// @route   GET /messages/:id/revisions
+// @desc    Get the edit history of a message
+// @access  Private
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const { message } = await findMemberMessage(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        revisions: message.revisions.map(revision => ({
+          text: revision.text,
+          editedAt: revision.editedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
         success: false,
-        message: messages.join(', ')
+        message: error.message
       });
     }
 
     res.status(500).json({
       success: false,
-      message: 'Server error while sending message'
+      message: 'Server error while fetching message revisions'
     });
   }
 });
 
-// @route   PUT /messages/:id/read
-// @desc    Mark message as read
+// @route   GET /messages/:id/thread?after=&limit=
+// @desc    Get a message and its replies, oldest first. nextCursor loads more replies (as after).
 // @access  Private
-router.put('/:id/read', auth, async (req, res) => {
+router.get('/:id/thread', auth, async (req, res) => {
   try {
-    const message = await Message.findById(req.params.id);
+    const { after, limit = CONVERSATION_PAGE_SIZE } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit) || CONVERSATION_PAGE_SIZE, 1), 100);
 
-    if (!message) {
-      return res.status(404).json({
+    const { message } = await findMemberMessage(req.params.id, req.user._id);
+
+    let position;
+    if (after !== undefined) {
+      position = await Message.resolveCursor(message.conversation, String(after));
+
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid after cursor'
+        });
+      }
+    }
+
+    const { replies, hasMore } = await Message.getThread(message._id, req.user._id, {
+      after: position,
+      limit: pageSize
+    });
+
+    await message.populate('sender', 'username');
+    await message.populate('receiver', 'username');
+    await message.populate(Message.QUOTE_POPULATE);
+
+    const newest = replies[replies.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        message: message.toClientJSON(req.user._id),
+        replies: replies.map(reply => reply.toClientJSON(req.user._id)),
+        pagination: {
+          limit: pageSize,
+          nextCursor: hasMore && newest ? newest._id : null,
+          hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get thread error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Message not found'
+        message: error.message
       });
     }
 
-    // Only receiver can mark message as read
-    if (message.receiver.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching thread'
+    });
+  }
+});
+
+// @route   POST /messages/:id/reactions
+// @desc    React to a message with an emoji, once per user and emoji
+// @access  Private
+router.post('/:id/reactions', auth, async (req, res) => {
+  try {
+    const message = await addReaction(req.app.get('io'), req.params.id, req.user._id, req.body.emoji);
+
+    res.json({
+      success: true,
+      message: 'Reaction added',
+      data: {
+        messageId: message._id,
+        reactions: message.summarizeReactions(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add reaction error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Not authorized to mark this message as read'
+        message: error.message
       });
     }
 
-    // Update message
-    message.read = true;
-    message.readAt = new Date();
-    await message.save();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding reaction'
+    });
+  }
+});
+
+// @route   DELETE /messages/:id/reactions/:emoji
+// @desc    Remove the current user's reaction with an emoji (URL-encoded)
+// @access  Private
+router.delete('/:id/reactions/:emoji', auth, async (req, res) => {
+  try {
+    const message = await removeReaction(req.app.get('io'), req.params.id, req.user._id, req.params.emoji);
+
+    res.json({
+      success: true,
+      message: 'Reaction removed',
+      data: {
+        messageId: message._id,
+        reactions: message.summarizeReactions(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing reaction'
+    });
+  }
+});
+
+// @route   PUT /messages/:id/read
+// @desc    Mark message as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const message = await markMessageRead(req.app.get('io'), req.params.id, req.user._id);
+    const receipt = message.readBy.find(entry => entry.user.toString() === req.user._id.toString());
 
     res.json({
       success: true,
       message: 'Message marked as read',
       data: {
         messageId: message._id,
-        read: message.read,
-        readAt: message.readAt
+        read: true,
+        readAt: receipt.at
       }
     });
 
   } catch (error) {
     console.error('Mark as read error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Invalid message ID'
+        message: error.message
       });
     }
 
@@ -243,19 +573,20 @@ router.put('/:id/read', auth, async (req, res) => {
 // @access  Private
 router.put('/conversations/:id/read', auth, async (req, res) => {
   try {
-    const { id: senderId } = req.params;
-
-    // Validate sender exists
-    const sender = await User.findById(senderId);
-    if (!sender) {
+    // Resolve conversation id, or other user's id for a direct chat
+    const resolved = await Conversation.resolveForUser(req.user._id, req.params.id);
+    if (!resolved) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Conversation not found'
       });
     }
 
-    // Mark all unread messages from sender as read
-    const result = await Message.markAsRead(senderId, req.user._id);
+    // Mark all unread messages from other members as read, there are none
+    // with a user no message was sent to yet
+    const result = resolved.conversation
+      ? await markConversationRead(req.app.get('io'), resolved.conversation, req.user._id)
+      : { modifiedCount: 0 };
 
     res.json({
       success: true,
@@ -271,7 +602,7 @@ router.put('/conversations/:id/read', auth, async (req, res) => {
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid user ID'
+        message: 'Invalid conversation ID'
       });
     }
 
@@ -0,0 +1,221 @@
+const express = require('express');
+const PushDevice = require('../models/PushDevice');
+const { auth } = require('../middleware/auth');
+const { getPushProvider, getEnabledPushProviders } = require('../push');
+const {
+  sendToUser,
+  registerDevice,
+  removeDevice,
+  formatSettings,
+  updateSettings
+} = require('../services/notifications');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// @route   GET /push/config
+// @desc    Get the push providers in use, and the VAPID public key browsers subscribe with
+// @access  Private
+router.get('/config', auth, async (req, res) => {
+  try {
+    const providers = getEnabledPushProviders();
+    const webPush = providers.includes('webpush') ? getPushProvider('webpush') : null;
+
+    res.json({
+      success: true,
+      data: {
+        providers,
+        vapidPublicKey: webPush ? webPush.publicKey : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get push config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching push configuration'
+    });
+  }
+});
+
+// @route   GET /push/devices
+// @desc    List the current user's devices registered for push notifications
+// @access  Private
+router.get('/devices', auth, async (req, res) => {
+  try {
+    const devices = await PushDevice.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => device.toClientJSON(req.authSession._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get push devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching devices'
+    });
+  }
+});
+
+// @route   POST /push/devices
+// @desc    Register this device for push notifications: { provider, token, name },
+//          or { provider: 'webpush', subscription, name } from a browser
+// @access  Private
+router.post('/devices', auth, async (req, res) => {
+  try {
+    const { provider, token, subscription, name } = req.body;
+
+    const device = await registerDevice(req.user._id, req.authSession._id, { provider, token, subscription, name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: {
+        device: device.toClientJSON(req.authSession._id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Register push device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering device'
+    });
+  }
+});
+
+// @route   DELETE /push/devices/:id
+// @desc    Stop push notifications to a device
+// @access  Private
+router.delete('/devices/:id', auth, async (req, res) => {
+  try {
+    await removeDevice(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Device removed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Remove push device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing device'
+    });
+  }
+});
+
+// @route   GET /push/settings
+// @desc    Get the current user's notification settings
+// @access  Private
+router.get('/settings', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        settings: formatSettings(req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification settings'
+    });
+  }
+});
+
+// @route   PUT /push/settings
+// @desc    Change notification settings: previews, doNotDisturbUntil (date or null)
+//          and quietHours ({ start: 'HH:MM', end: 'HH:MM', timeZone } or null)
+// @access  Private
+router.put('/settings', auth, async (req, res) => {
+  try {
+    const { previews, doNotDisturbUntil, quietHours } = req.body;
+
+    const settings = await updateSettings(req.user._id, { previews, doNotDisturbUntil, quietHours });
+
+    res.json({
+      success: true,
+      message: 'Notification settings updated successfully',
+      data: { settings }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Update notification settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification settings'
+    });
+  }
+});
+
+// @route   POST /push/test
+// @desc    Send a test notification to every device of the current user
+// @access  Private
+router.post('/test', auth, async (req, res) => {
+  try {
+    const results = await sendToUser(req.user._id, {
+      title: 'Test notification',
+      body: 'Push notifications are working',
+      collapseKey: 'test',
+      data: { type: 'test' }
+    });
+
+    res.json({
+      success: true,
+      data: { results }
+    });
+
+  } catch (error) {
+    console.error('Test push notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending test notification'
+    });
+  }
+});
+
+module.exports = router;
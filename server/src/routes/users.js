@@ -1,47 +1,94 @@
 const express = require('express');
 const User = require('../models/User');
+const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const Report = require('../models/Report');
+const uploadConfig = require('../config/uploads');
 const { auth } = require('../middleware/auth');
+const { singleFileUpload } = require('../middleware/upload');
+const { blockUser, unblockUser } = require('../services/blocks');
+const { reportUser } = require('../services/reports');
+const {
+  broadcastProfile,
+  verifyCurrentPassword,
+  updateProfile,
+  setAvatar,
+  removeAvatar,
+  changePassword,
+  changeEmail
+} = require('../services/profiles');
+const { deleteAccount } = require('../services/accounts');
+const { presenceFields, setStatus } = require('../services/presence');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
+// Parse an optional avatar image from the multipart field "avatar"
+const uploadAvatar = singleFileUpload('avatar', {
+  maxFileSize: uploadConfig.maxAvatarSize,
+  allowedMimeTypes: uploadConfig.imageMimeTypes
+});
+
+// The current user's own profile, with private fields
+const formatOwnProfile = (user) => ({
+  ...user.toProfileJSON(),
+  email: user.email,
+  emailVerified: user.emailVerified
+});
+
 // @route   GET /users
 // @desc    Get all users except current user
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
     const users = await User.find({ 
-      _id: { $ne: req.user._id } 
+      _id: { $ne: req.user._id },
+      deletedAt: null
     }).select('-password').sort({ username: 1 });
 
-    // Get last message for each user
-    const usersWithLastMessage = await Promise.all(
-      users.map(async (user) => {
-        const lastMessage = await Message.findOne({
-          $or: [
-            { sender: req.user._id, receiver: user._id },
-            { sender: user._id, receiver: req.user._id }
-          ]
-        })
-        .sort({ createdAt: -1 })
-        .populate('sender', 'username')
-        .populate('receiver', 'username');
-
-        return {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          isOnline: user.isOnline,
-          lastSeen: user.lastSeen,
-          lastMessage: lastMessage ? {
-            text: lastMessage.text,
-            createdAt: lastMessage.createdAt,
-            sender: lastMessage.sender.username,
-            isFromMe: lastMessage.sender._id.toString() === req.user._id.toString()
-          } : null
-        };
-      })
-    );
+    // Get last message with each user from the direct conversation summaries,
+    // unless it expired
+    const directConversations = await Conversation.find({
+      type: 'direct',
+      'members.user': req.user._id,
+      lastMessage: { $ne: null }
+    }).populate({
+      path: 'lastMessage',
+      match: Message.notExpired(),
+      populate: { path: 'sender', select: 'username' }
+    });
+
+    // Presence is hidden on both sides of a block
+    const blockedRelations = new Set(await User.getBlockedRelations(req.user._id));
+
+    const lastMessages = new Map();
+    directConversations.forEach(conversation => {
+      const partnerId = conversation.memberIds().find(id => id !== req.user._id.toString());
+      lastMessages.set(partnerId, conversation.lastMessage);
+    });
+
+    const usersWithLastMessage = users.map(user => {
+      const lastMessage = lastMessages.get(user._id.toString());
+      const presenceHidden = blockedRelations.has(user._id.toString());
+
+      return {
+        id: user._id,
+        username: user.username,
+        displayName: user.displayName || user.username,
+        avatarUrl: user.toProfileJSON().avatarUrl,
+        email: user.email,
+        ...presenceFields(user, req.user._id, { hidden: presenceHidden }),
+        isBlocked: req.user.hasBlocked(user._id),
+        lastMessage: lastMessage ? {
+          text: lastMessage.deletedAt ? null : lastMessage.text,
+          encrypted: lastMessage.type === 'encrypted',
+          createdAt: lastMessage.createdAt,
+          sender: lastMessage.sender.username,
+          isFromMe: lastMessage.sender._id.toString() === req.user._id.toString()
+        } : null
+      };
+    });
 
     res.json({
       success: true,
@@ -59,6 +106,253 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /users/blocked
+// @desc    List users the current user has blocked
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const { blockedUsers } = await User.findById(req.user._id)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'username');
+
+    res.json({
+      success: true,
+      data: {
+        users: blockedUsers.map(user => ({
+          id: user._id,
+          username: user.username
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blocked users'
+    });
+  }
+});
+
+// @route   PATCH /users/me
+// @desc    Update display name and bio, and optionally the avatar (multipart field "avatar")
+// @access  Private
+router.patch('/me', auth, uploadAvatar, async (req, res) => {
+  try {
+    const { displayName, bio } = req.body || {};
+    const io = req.app.get('io');
+
+    let user = await updateProfile(req.user._id, { displayName, bio });
+    if (req.file) {
+      user = await setAvatar(req.user._id, req.file);
+    }
+
+    await broadcastProfile(io, user);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: formatOwnProfile(user)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile'
+    });
+  }
+});
+
+// @route   DELETE /users/me/avatar
+// @desc    Remove the current user's avatar
+// @access  Private
+router.delete('/me/avatar', auth, async (req, res) => {
+  try {
+    const user = await removeAvatar(req.user._id);
+    await broadcastProfile(req.app.get('io'), user);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed',
+      data: {
+        user: formatOwnProfile(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing avatar'
+    });
+  }
+});
+
+// @route   PUT /users/me/password
+// @desc    Change password; requires the current password and signs out other sessions
+// @access  Private
+router.put('/me/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    await changePassword(req.app.get('io'), req.user._id, req.authSession._id, {
+      currentPassword,
+      newPassword
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// @route   PUT /users/me/email
+// @desc    Change email address; requires the current password and a new verification
+// @access  Private
+router.put('/me/email', auth, async (req, res) => {
+  try {
+    const { currentPassword, email } = req.body;
+
+    const user = await changeEmail(req.user._id, { currentPassword, email });
+
+    res.json({
+      success: true,
+      message: 'Email changed. Check your inbox to verify the new address.',
+      data: {
+        user: formatOwnProfile(user)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing email'
+    });
+  }
+});
+
+// @route   DELETE /users/me
+// @desc    Delete the current user's account; requires the password. Messages stay, anonymized.
+// @access  Private
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    await verifyCurrentPassword(req.user._id, password);
+    await deleteAccount(req.app.get('io'), req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Account deleted'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account'
+    });
+  }
+});
+
+// @route   GET /users/:id/avatar
+// @desc    Download a user's avatar
+// @access  Private
+router.get('/:id/avatar', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('avatarKey deletedAt');
+    if (!user || !user.avatarKey || user.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Avatar not found'
+      });
+    }
+
+    sendStoredFile(res, user.avatarKey, {
+      contentType: 'image/webp',
+      fileName: `${user._id}.webp`,
+      inline: true
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    console.error('Download avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading avatar'
+    });
+  }
+});
+
 // @route   GET /users/:id
 // @desc    Get user by ID
 // @access  Private
@@ -66,29 +360,30 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
-    if (!user) {
+    if (!user || user.deletedAt) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    // Get unread message count from this user
-    const unreadCount = await Message.countDocuments({
-      sender: req.params.id,
-      receiver: req.user._id,
-      read: false
+    // Get unread message count from the direct conversation with this user
+    const conversation = await Conversation.findOne({
+      type: 'direct',
+      'members.user': { $all: [req.user._id, user._id] }
     });
+    const member = conversation && conversation.getMember(req.user._id);
+    const unreadCount = member ? member.unreadCount : 0;
+    const presenceHidden = await User.isBlockedBetween(req.user._id, user._id);
 
     res.json({
       success: true,
       data: {
         user: {
-          id: user._id,
-          username: user.username,
+          ...user.toProfileJSON(),
           email: user.email,
-          isOnline: user.isOnline,
-          lastSeen: user.lastSeen,
+          ...presenceFields(user, req.user._id, { hidden: presenceHidden }),
+          isBlocked: req.user.hasBlocked(user._id),
           unreadCount
         }
       }
@@ -112,39 +407,163 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT /users/status
-// @desc    Update user online status
+// @desc    Set the presence status shown to contacts: online, away, busy or invisible,
+//          with optional custom text and an expiry in minutes
 // @access  Private
 router.put('/status', auth, async (req, res) => {
   try {
-    const { isOnline } = req.body;
+    const { status, text, expiresIn } = req.body;
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { 
-        isOnline: isOnline !== undefined ? isOnline : true,
-        lastSeen: new Date()
-      },
-      { new: true }
-    ).select('-password');
+    const presence = await setStatus(req.app.get('io'), req.user._id, { status, text, expiresIn });
 
     res.json({
       success: true,
       message: 'Status updated successfully',
+      data: { presence }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Update status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating status'
+    });
+  }
+});
+
+// @route   POST /users/:id/block
+// @desc    Block a user: no messages between the two users, and no presence or typing
+// @access  Private
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    const user = await blockUser(req.app.get('io'), req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User blocked',
       data: {
         user: {
           id: user._id,
-          username: user.username,
-          isOnline: user.isOnline,
-          lastSeen: user.lastSeen
+          username: user.username
         }
       }
     });
 
   } catch (error) {
-    console.error('Update status error:', error);
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Block user error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating status'
+      message: 'Server error while blocking user'
+    });
+  }
+});
+
+// @route   DELETE /users/:id/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    const user = await unblockUser(req.app.get('io'), req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User unblocked',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unblocking user'
+    });
+  }
+});
+
+// @route   POST /users/:id/report
+// @desc    Report a user, or one of their messages, to moderators. Reporting them
+//          again while the report is open returns that report
+// @access  Private
+router.post('/:id/report', auth, async (req, res) => {
+  try {
+    const { reason, details, messageId } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason is required, one of: ${Report.REASONS.join(', ')}`
+      });
+    }
+
+    const { report, created } = await reportUser(req.user._id, req.params.id, { reason, details, messageId });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Report submitted' : 'Report already submitted',
+      data: {
+        report: {
+          id: report._id,
+          reason: report.reason,
+          status: report.status,
+          createdAt: report.createdAt
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Report user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting user'
     });
   }
 });
@@ -0,0 +1,279 @@
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const { auth } = require('../middleware/auth');
+const {
+  findOwnedWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  pingWebhook,
+  redeliver
+} = require('../services/webhooks');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// @route   GET /webhooks
+// @desc    List the current user's webhooks
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        events: Webhook.EVENTS,
+        webhooks: webhooks.map(webhook => webhook.toClientJSON())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhooks'
+    });
+  }
+});
+
+// @route   POST /webhooks
+// @desc    Register a webhook: { url, events, description }. Events about the user's
+//          conversations are POSTed to the url, signed with the secret returned here.
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const { webhook, secret } = await createWebhook(req.user._id, { url, events, description });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully. Store the secret now, it will not be shown again.',
+      data: {
+        webhook: webhook.toClientJSON(),
+        secret
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating webhook'
+    });
+  }
+});
+
+// @route   GET /webhooks/:id
+// @desc    Get one of the current user's webhooks
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        webhook: webhook.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook'
+    });
+  }
+});
+
+// @route   PATCH /webhooks/:id
+// @desc    Change a webhook's url, events, description or active flag. Turning a
+//          webhook disabled by failures back on resets its failure count.
+// @access  Private
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const webhook = await updateWebhook(req.user._id, req.params.id, { url, events, description, active });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: {
+        webhook: webhook.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating webhook'
+    });
+  }
+});
+
+// @route   DELETE /webhooks/:id
+// @desc    Remove a webhook and its delivery log
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await deleteWebhook(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting webhook'
+    });
+  }
+});
+
+// @route   GET /webhooks/:id/deliveries?status=pending|succeeded|failed&before=&limit=
+// @desc    Get a webhook's delivery log, newest first. Deliveries are kept for 30 days.
+// @access  Private
+router.get('/:id/deliveries', auth, async (req, res) => {
+  try {
+    const { status, before, limit } = req.query;
+
+    const { deliveries, nextCursor } = await listDeliveries(req.user._id, req.params.id, { status, before, limit });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(delivery => delivery.toClientJSON()),
+        pagination: { nextCursor }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deliveries'
+    });
+  }
+});
+
+// @route   POST /webhooks/:id/deliveries/:deliveryId/redeliver
+// @desc    Send a logged delivery again
+// @access  Private
+router.post('/:id/deliveries/:deliveryId/redeliver', auth, async (req, res) => {
+  try {
+    const delivery = await redeliver(req.user._id, req.params.id, req.params.deliveryId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued',
+      data: {
+        delivery: delivery.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while queuing delivery'
+    });
+  }
+});
+
+// @route   POST /webhooks/:id/ping
+// @desc    Send a ping event to check the endpoint receives and verifies deliveries
+// @access  Private
+router.post('/:id/ping', auth, async (req, res) => {
+  try {
+    const delivery = await pingWebhook(req.user._id, req.params.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Ping queued',
+      data: {
+        delivery: delivery.toClientJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Ping webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while queuing ping'
+    });
+  }
+});
+
+module.exports = router;
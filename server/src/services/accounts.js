@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const EmailToken = require('../models/EmailToken');
+const ApiKey = require('../models/ApiKey');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { getStorage } = require('../storage');
+const { AppError } = require('../utils/errors');
+const { revokeUserSessions } = require('./sessions');
+const { broadcastProfile } = require('./profiles');
+const { getPresenceAudience } = require('./presence');
+const { removeKeys } = require('./keys');
+const { removeUserExports } = require('./exports');
+const { conversationRoom, leaveConversationRoom } = require('../socket/rooms');
+
+// Find an account that has not been deleted
+const findAccount = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new AppError(400, 'Invalid user ID');
+  }
+
+  const user = await User.findById(userId).select('-password');
+  if (!user || user.deletedAt) {
+    throw new AppError(404, 'User not found');
+  }
+
+  return user;
+};
+
+// Suspend a user: their tokens stop working and their sockets are disconnected
+const suspendUser = async (io, userId, { reason } = {}) => {
+  const user = await findAccount(userId);
+
+  user.suspendedAt = user.suspendedAt || new Date();
+  user.suspendedReason = reason;
+  await user.save();
+
+  await revokeUserSessions(io, user._id);
+  return user;
+};
+
+// Lift a suspension, the user can sign in again
+const unsuspendUser = async (userId) => {
+  const user = await findAccount(userId);
+
+  user.suspendedAt = undefined;
+  user.suspendedReason = undefined;
+  await user.save();
+
+  return user;
+};
+
+// Delete an account. The user record is kept but anonymized, so messages
+// keep a sender that no longer identifies anyone; their edit history goes,
+// as do sessions, group memberships, blocks, webhooks, exports and the
+// avatar. The user's bots are deleted with them.
+const deleteAccount = async (io, userId) => {
+  const user = await findAccount(userId);
+
+  const bots = await User.find({ botOwner: user._id, isBot: true, deletedAt: null }).select('_id');
+  for (const bot of bots) {
+    await deleteAccount(io, bot._id);
+  }
+  await ApiKey.updateMany({ bot: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  // Worked out now, while the user is still in their groups
+  const audience = await getPresenceAudience(user._id);
+
+  await revokeUserSessions(io, user._id);
+  await Session.deleteMany({ user: user._id });
+
+  const groups = await Conversation.find({ type: 'group', 'members.user': user._id });
+  for (const conversation of groups) {
+    conversation.removeMember(user._id);
+    await conversation.save();
+
+    leaveConversationRoom(io, conversation._id, [user._id.toString()]);
+    io.to(conversationRoom(conversation._id)).emit('conversation:updated', conversation.toClientJSON());
+  }
+
+  await User.updateMany({ blockedUsers: user._id }, { $pull: { blockedUsers: user._id } });
+  await Message.updateMany(
+    { sender: user._id },
+    { $set: { revisions: [] }, $unset: { clientMessageId: 1 } }
+  );
+  await EmailToken.deleteMany({ user: user._id });
+
+  const webhookIds = await Webhook.distinct('_id', { owner: user._id });
+  await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+  await Webhook.deleteMany({ owner: user._id });
+  await removeUserExports(user._id);
+  await removeKeys(io, user._id);
+
+  if (user.avatarKey) {
+    await getStorage().remove(user.avatarKey).catch(error => console.error('Remove avatar error:', error));
+  }
+
+  user.anonymize();
+  await user.save();
+
+  // Contacts see the anonymized name from now on
+  await broadcastProfile(io, user, audience);
+
+  return user;
+};
+
+module.exports = {
+  findAccount,
+  suspendUser,
+  unsuspendUser,
+  deleteAccount
+};
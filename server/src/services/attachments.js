@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const Conversation = require('../models/Conversation');
+const uploadConfig = require('../config/uploads');
+const { getStorage } = require('../storage');
+const { AppError } = require('../utils/errors');
+
+// Build a unique storage key, grouped by month
+const createStorageKey = (extension) => {
+  const now = new Date();
+  const month = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  return `${month}/${crypto.randomUUID()}${extension}`;
+};
+
+// Read image dimensions and render a thumbnail, rejecting files that are not real images
+const processImage = async (buffer) => {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(uploadConfig.thumbnailSize, uploadConfig.thumbnailSize, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .webp()
+      .toBuffer();
+
+    return { width, height, thumbnail };
+  } catch (error) {
+    throw new AppError(400, 'Image file is corrupt or not an image');
+  }
+};
+
+// Store an uploaded file (from multer) and record it as an unsent attachment
+const storeUpload = async (file, uploaderId) => {
+  const storage = getStorage();
+  const isImage = uploadConfig.imageMimeTypes.includes(file.mimetype);
+  const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+
+  const attachment = new Attachment({
+    uploader: uploaderId,
+    kind: isImage ? 'image' : 'file',
+    fileName: path.basename(file.originalname),
+    mimeType: file.mimetype,
+    size: file.size,
+    storageKey: createStorageKey(extension)
+  });
+
+  if (isImage) {
+    const { width, height, thumbnail } = await processImage(file.buffer);
+    attachment.width = width;
+    attachment.height = height;
+    attachment.thumbnailKey = createStorageKey('.webp');
+    await storage.save(attachment.thumbnailKey, thumbnail, 'image/webp');
+  }
+
+  await storage.save(attachment.storageKey, file.buffer, file.mimetype);
+  await attachment.save();
+
+  return attachment;
+};
+
+// Load the sender's unsent attachments for a new message
+const findSendableAttachments = async (attachmentIds, senderId) => {
+  if (!Array.isArray(attachmentIds) || !attachmentIds.every(id => mongoose.isValidObjectId(id))) {
+    throw new AppError(400, 'Attachment IDs must be a list of attachment IDs');
+  }
+
+  if (attachmentIds.length > uploadConfig.maxAttachmentsPerMessage) {
+    throw new AppError(400, `A message can have at most ${uploadConfig.maxAttachmentsPerMessage} attachments`);
+  }
+
+  const uniqueIds = [...new Set(attachmentIds.map(String))];
+  const attachments = await Attachment.find({
+    _id: { $in: uniqueIds },
+    uploader: senderId,
+    message: null
+  });
+
+  if (attachments.length !== uniqueIds.length) {
+    throw new AppError(400, 'Attachments not found or already sent');
+  }
+
+  // Keep the order the client sent them in
+  return uniqueIds.map(id => attachments.find(attachment => attachment._id.toString() === id));
+};
+
+// Link attachments to the message they were sent in
+const linkAttachments = (attachments, message) => {
+  return Attachment.updateMany(
+    { _id: { $in: attachments.map(attachment => attachment._id) } },
+    { message: message._id, conversation: message.conversation }
+  );
+};
+
+// Check whether a user may download an attachment
+const canAccessAttachment = async (attachment, userId) => {
+  if (attachment.uploader.toString() === userId.toString()) {
+    return true;
+  }
+
+  if (!attachment.conversation) {
+    return false;
+  }
+
+  const conversation = await Conversation.findById(attachment.conversation);
+  return Boolean(conversation && conversation.isMember(userId));
+};
+
+// Delete attachments and their stored files
+const removeAttachments = async (attachmentIds) => {
+  const storage = getStorage();
+  const attachments = await Attachment.find({ _id: { $in: attachmentIds } });
+
+  await Promise.all(attachments.flatMap(attachment => [
+    storage.remove(attachment.storageKey),
+    ...(attachment.thumbnailKey ? [storage.remove(attachment.thumbnailKey)] : [])
+  ]));
+
+  await Attachment.deleteMany({ _id: { $in: attachmentIds } });
+};
+
+module.exports = {
+  storeUpload,
+  findSendableAttachments,
+  linkAttachments,
+  canAccessAttachment,
+  removeAttachments
+};
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { presencePayload } = require('./presence');
+const { userRoom, joinBlockedRooms, leaveBlockedRooms } = require('../socket/rooms');
+
+// Find the user targeted by a block, refusing the current user themselves
+const findBlockTarget = async (userId, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new AppError(400, 'Invalid user ID');
+  }
+
+  if (targetId.toString() === userId.toString()) {
+    throw new AppError(400, 'You cannot block yourself');
+  }
+
+  const target = await User.findById(targetId);
+  if (!target) {
+    throw new AppError(404, 'User not found');
+  }
+
+  return target;
+};
+
+// Block a user. The two users stop seeing each other's presence and typing right away.
+const blockUser = async (io, userId, targetId) => {
+  const target = await findBlockTarget(userId, targetId);
+
+  const result = await User.updateOne({ _id: userId }, { $addToSet: { blockedUsers: target._id } });
+  if (result.modifiedCount === 0) return target;
+
+  joinBlockedRooms(io, userId, target._id);
+
+  // Only users who looked online, not invisible ones, need to disappear
+  const user = await User.findById(userId);
+  const hidden = (other) => ({
+    userId: other._id,
+    username: other.username,
+    status: 'offline',
+    isOnline: false,
+    text: null,
+    expiresAt: null,
+    lastSeen: null
+  });
+
+  if (user.getPresence().isOnline) {
+    io.to(userRoom(target._id)).emit('user:offline', hidden(user));
+  }
+  if (target.getPresence().isOnline) {
+    io.to(userRoom(userId)).emit('user:offline', hidden(target));
+  }
+
+  return target;
+};
+
+// Unblock a user. Presence and typing are shown again unless the other user blocks back.
+const unblockUser = async (io, userId, targetId) => {
+  const target = await findBlockTarget(userId, targetId);
+
+  const result = await User.updateOne({ _id: userId }, { $pull: { blockedUsers: target._id } });
+  if (result.modifiedCount === 0 || await User.isBlockedBetween(userId, target._id)) return target;
+
+  leaveBlockedRooms(io, userId, target._id);
+
+  const user = await User.findById(userId);
+
+  if (user.getPresence().isOnline) {
+    io.to(userRoom(target._id)).emit('user:online', presencePayload(user));
+  }
+  if (target.getPresence().isOnline) {
+    io.to(userRoom(userId)).emit('user:online', presencePayload(target));
+  }
+
+  return target;
+};
+
+// Refuse a direct message when either user has blocked the other
+const assertNotBlocked = async (senderId, receiverId) => {
+  if (await User.isBlockedBetween(senderId, receiverId)) {
+    throw new AppError(403, 'You cannot send messages to this user', 'blocked');
+  }
+};
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  assertNotBlocked
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { AppError } = require('../utils/errors');
+const { hashToken, generateToken } = require('../utils/tokens');
+const { deleteAccount } = require('./accounts');
+
+const MAX_BOTS_PER_USER = parseInt(process.env.MAX_BOTS_PER_USER) || 10;
+const MAX_API_KEY_DAYS = 365;
+
+// Create a bot account owned by a user. It gets an unusable email and
+// password, since bots only authenticate with API keys.
+const createBot = async (ownerId, { username, displayName } = {}) => {
+  const owner = await User.findById(ownerId).select('isBot');
+  if (!owner || owner.isBot) {
+    throw new AppError(403, 'Bots cannot create bots');
+  }
+
+  const count = await User.countDocuments({ botOwner: ownerId, deletedAt: null });
+  if (count >= MAX_BOTS_PER_USER) {
+    throw new AppError(400, `You can have at most ${MAX_BOTS_PER_USER} bots`);
+  }
+
+  if (typeof username !== 'string' || username.trim().length === 0) {
+    throw new AppError(400, 'Bot username is required');
+  }
+
+  const bot = new User({
+    username: username.trim(),
+    displayName,
+    emailVerified: true,
+    password: crypto.randomBytes(32).toString('hex'),
+    isBot: true,
+    botOwner: ownerId
+  });
+  // An address on the reserved example.com domain, which never receives mail.
+  // It has to pass the email check, as later saves of the bot validate it.
+  bot.email = `bot-${bot._id}@bots.example.com`;
+
+  await bot.save();
+
+  return bot;
+};
+
+// Find a bot owned by a user
+const findOwnedBot = async (ownerId, botId) => {
+  if (!mongoose.isValidObjectId(botId)) {
+    throw new AppError(400, 'Invalid bot ID');
+  }
+
+  const bot = await User.findOne({ _id: botId, botOwner: ownerId, isBot: true, deletedAt: null }).select('-password');
+  if (!bot) {
+    throw new AppError(404, 'Bot not found');
+  }
+
+  return bot;
+};
+
+// Delete a bot: its account is anonymized like a user's and its keys stop working
+const deleteBot = async (io, ownerId, botId) => {
+  const bot = await findOwnedBot(ownerId, botId);
+  return deleteAccount(io, bot._id);
+};
+
+// Create an API key for a bot. The key is returned once and only its hash is stored.
+const createApiKey = async (ownerId, botId, { name, scopes, expiresInDays } = {}) => {
+  const bot = await findOwnedBot(ownerId, botId);
+
+  if (!Array.isArray(scopes) || scopes.some(scope => !ApiKey.SCOPES.includes(scope))) {
+    throw new AppError(400, `Scopes must be a list among: ${ApiKey.SCOPES.join(', ')}`);
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_API_KEY_DAYS) {
+      throw new AppError(400, `Key expiry must be between 1 and ${MAX_API_KEY_DAYS} days`);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const key = `bot_${generateToken(32)}`;
+
+  const apiKey = await ApiKey.create({
+    bot: bot._id,
+    name,
+    prefix: key.slice(0, 12),
+    keyHash: hashToken(key),
+    scopes: Array.from(new Set(scopes)),
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+// List a bot's keys, newest first
+const listApiKeys = async (ownerId, botId) => {
+  const bot = await findOwnedBot(ownerId, botId);
+  return ApiKey.find({ bot: bot._id }).sort({ createdAt: -1 });
+};
+
+// Revoke one of a bot's keys
+const revokeApiKey = async (ownerId, botId, keyId) => {
+  const bot = await findOwnedBot(ownerId, botId);
+
+  if (!mongoose.isValidObjectId(keyId)) {
+    throw new AppError(400, 'Invalid key ID');
+  }
+
+  const apiKey = await ApiKey.findOne({ _id: keyId, bot: bot._id });
+  if (!apiKey) {
+    throw new AppError(404, 'API key not found');
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  createBot,
+  findOwnedBot,
+  deleteBot,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const EmailToken = require('../models/EmailToken');
+const { AppError } = require('../utils/errors');
+const { hashToken, generateToken } = require('../utils/tokens');
+const { sendMail } = require('../mail');
+const { verificationEmail, passwordResetEmail } = require('../mail/templates');
+const { revokeUserSessions } = require('./sessions');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Whether unverified users are kept from signing in
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Issue a token for a user, replacing any earlier token with the same purpose
+const issueToken = async (user, purpose, ttlMs) => {
+  const token = generateToken(32);
+
+  await EmailToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await EmailToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Use up a token, atomically so that it works only once
+const consumeToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    throw new AppError(400, 'Token is required');
+  }
+
+  const emailToken = await EmailToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!emailToken) {
+    throw new AppError(400, 'Invalid or expired token', 'invalid_token');
+  }
+
+  const user = await User.findById(emailToken.user);
+  if (!user || user.deletedAt || user.email !== emailToken.email) {
+    throw new AppError(400, 'Invalid or expired token', 'invalid_token');
+  }
+
+  return user;
+};
+
+// Email a verification link to a user who has not verified their address
+const sendVerificationEmail = async (user) => {
+  if (user.emailVerified) return;
+
+  const token = await issueToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  await sendMail({
+    to: user.email,
+    ...verificationEmail({ username: user.username, token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS })
+  });
+};
+
+// Mark the address a verification token was sent to as verified
+const verifyEmail = async (token) => {
+  const user = await consumeToken(token, 'email_verification');
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  return user;
+};
+
+// Email a password reset link if an account uses the address. Callers should
+// answer the same way either way, so addresses cannot be probed.
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim(), deletedAt: null, isBot: { $ne: true } });
+  if (!user) return;
+
+  const token = await issueToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({ username: user.username, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES })
+  });
+};
+
+// Set a new password with a reset token, signing the user out everywhere
+const resetPassword = async (io, token, password) => {
+  if (typeof password !== 'string' || password.length < 6) {
+    throw new AppError(400, 'Password must be at least 6 characters long');
+  }
+
+  const user = await consumeToken(token, 'password_reset');
+
+  user.password = password;
+  // The reset link proved the user reads this mailbox
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await revokeUserSessions(io, user._id);
+  return user;
+};
+
+module.exports = {
+  isEmailVerificationRequired,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
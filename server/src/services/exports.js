@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const { Transform } = require('stream');
+const ExportJob = require('../models/ExportJob');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Attachment = require('../models/Attachment');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PushDevice = require('../models/PushDevice');
+const Webhook = require('../models/Webhook');
+const { getStorage } = require('../storage');
+const { getExportWriter } = require('../exports');
+const { AppError } = require('../utils/errors');
+const { formatSettings } = require('./notifications');
+const { userRoom } = require('../socket/rooms');
+
+// How long a finished export can be downloaded
+const EXPORT_TTL_MS = (parseInt(process.env.EXPORT_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+// Finished exports a user keeps at a time, older ones are removed
+const MAX_EXPORTS_PER_USER = 10;
+// How long a worker holds a job before another instance may take it over,
+// renewed while the export runs
+const LOCK_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+// Progress is saved and sent to the user at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+const POLL_INTERVAL_MS = (parseInt(process.env.EXPORT_POLL_SECONDS) || 10) * 1000;
+
+// Raised inside a running export when its job was deleted
+class ExportCancelledError extends Error {
+  constructor() {
+    super('Export cancelled');
+    this.name = 'ExportCancelledError';
+  }
+}
+
+// Find one of the user's exports
+const findOwnedExport = async (userId, exportId) => {
+  if (!mongoose.isValidObjectId(exportId)) {
+    throw new AppError(400, 'Invalid export ID');
+  }
+
+  const job = await ExportJob.findOne({ _id: exportId, user: userId });
+  if (!job) {
+    throw new AppError(404, 'Export not found');
+  }
+
+  return job;
+};
+
+// Remove an export and its file
+const removeExport = async (job) => {
+  if (job.fileKey) {
+    await getStorage().remove(job.fileKey).catch(error => console.error('Remove export file error:', error));
+  }
+  await ExportJob.deleteOne({ _id: job._id });
+};
+
+// Queue an export of one conversation or of the whole account. A user runs
+// one export at a time.
+const requestExport = async (userId, { scope, conversationId, format } = {}) => {
+  if (!ExportJob.SCOPES.includes(scope)) {
+    throw new AppError(400, `Scope must be one of: ${ExportJob.SCOPES.join(', ')}`);
+  }
+  if (!ExportJob.FORMATS.includes(format)) {
+    throw new AppError(400, `Format must be one of: ${ExportJob.FORMATS.join(', ')}`);
+  }
+
+  let conversation;
+  if (scope === 'conversation') {
+    if (!mongoose.isValidObjectId(conversationId)) {
+      throw new AppError(400, 'Invalid conversation ID');
+    }
+
+    conversation = await Conversation.findById(conversationId).select('members');
+    if (!conversation || !conversation.isMember(userId)) {
+      throw new AppError(404, 'Conversation not found');
+    }
+  }
+
+  const pending = await ExportJob.exists({ user: userId, status: { $in: ['queued', 'running'] } });
+  if (pending) {
+    throw new AppError(409, 'An export is already in progress');
+  }
+
+  // Make room by dropping the oldest exports
+  const previous = await ExportJob.find({ user: userId }).sort({ createdAt: -1 }).skip(MAX_EXPORTS_PER_USER - 1);
+  for (const job of previous) {
+    await removeExport(job);
+  }
+
+  const job = await ExportJob.create({
+    user: userId,
+    scope,
+    conversation: conversation ? conversation._id : undefined,
+    format
+  });
+
+  kickWorker();
+  return job;
+};
+
+// Delete an export. A running export stops at its next progress update.
+const deleteExport = async (userId, exportId) => {
+  const job = await findOwnedExport(userId, exportId);
+  await removeExport(job);
+};
+
+// Remove all of a user's exports, when their account is deleted
+const removeUserExports = async (userId) => {
+  const jobs = await ExportJob.find({ user: userId });
+  for (const job of jobs) {
+    await removeExport(job);
+  }
+};
+
+// Everything stored about the account itself, for account exports
+const buildAccountData = async (userId) => {
+  const [user, sessions, devices, bots, webhooks] = await Promise.all([
+    User.findById(userId).populate('blockedUsers', 'username'),
+    Session.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 }),
+    PushDevice.find({ user: userId }).sort({ createdAt: -1 }),
+    User.find({ botOwner: userId, isBot: true, deletedAt: null }).select('username displayName createdAt'),
+    Webhook.find({ owner: userId }).sort({ createdAt: -1 })
+  ]);
+
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    displayName: user.displayName || user.username,
+    bio: user.bio || '',
+    role: user.role,
+    createdAt: user.createdAt,
+    lastSeen: user.lastSeen,
+    presence: {
+      status: user.presence ? user.presence.status : 'online',
+      text: user.presence ? user.presence.text || null : null
+    },
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    notificationSettings: formatSettings(user),
+    blockedUsers: user.blockedUsers.map(blocked => ({ id: blocked._id, username: blocked.username })),
+    sessions: sessions.map(session => session.toClientJSON()),
+    pushDevices: devices.map(device => device.toClientJSON()),
+    bots: bots.map(bot => ({ id: bot._id, username: bot.username, displayName: bot.displayName || bot.username, createdAt: bot.createdAt })),
+    webhooks: webhooks.map(webhook => webhook.toClientJSON())
+  };
+};
+
+// Messages of a conversation the user can see, oldest first, formatted for them
+async function* conversationMessages(conversationId, userId, onMessage) {
+  const cursor = Message.find({ conversation: conversationId, deletedFor: { $ne: userId }, ...Message.notExpired() })
+    .populate('sender', 'username')
+    .populate('receiver', 'username')
+    .populate(Message.QUOTE_POPULATE)
+    .sort({ createdAt: 1, _id: 1 })
+    .cursor();
+
+  for await (const message of cursor) {
+    yield message.toClientJSON(userId);
+    await onMessage();
+  }
+}
+
+// Conversations of an export with their messages, one at a time
+async function* exportConversations(conversationIds, userId, onMessage) {
+  for (const conversationId of conversationIds) {
+    const conversation = await Conversation.findById(conversationId).populate('members.user', 'username');
+    if (!conversation) continue;
+
+    yield {
+      conversation: conversation.toClientJSON(),
+      messages: conversationMessages(conversation._id, userId, onMessage)
+    };
+  }
+}
+
+// Open a stored attachment for an export, if the user may still see it
+const openAttachment = async (summary, conversationIds) => {
+  const attachment = await Attachment.findById(summary.id);
+  if (!attachment || !attachment.conversation ||
+      !conversationIds.some(id => id.toString() === attachment.conversation.toString())) {
+    return null;
+  }
+
+  return getStorage().createReadStream(attachment.storageKey);
+};
+
+// Save progress and tell the user's devices. Fails with ExportCancelledError
+// when the job was deleted meanwhile.
+const saveProgress = async (io, job) => {
+  const result = await ExportJob.updateOne(
+    { _id: job._id, status: 'running' },
+    { progress: job.progress, lockedUntil: new Date(Date.now() + LOCK_MS) }
+  );
+  if (result.matchedCount === 0) {
+    throw new ExportCancelledError();
+  }
+
+  io.to(userRoom(job.user)).emit('export:progress', {
+    exportId: job._id,
+    ...job.toClientJSON().progress
+  });
+};
+
+// Write an export file and store it
+const runExport = async (io, job) => {
+  const conversationIds = job.scope === 'conversation'
+    ? [job.conversation]
+    : await Conversation.distinct('_id', { 'members.user': job.user });
+
+  job.progress.total = await Message.countDocuments({
+    conversation: { $in: conversationIds },
+    deletedFor: { $ne: job.user },
+    ...Message.notExpired()
+  });
+  job.progress.processed = 0;
+  await saveProgress(io, job);
+
+  let lastSaved = Date.now();
+  const onMessage = async () => {
+    job.progress.processed += 1;
+    if (Date.now() - lastSaved >= PROGRESS_INTERVAL_MS) {
+      lastSaved = Date.now();
+      await saveProgress(io, job);
+    }
+  };
+
+  const owner = await User.findById(job.user).select('username');
+  const writer = getExportWriter(job.format);
+  const exportedAt = new Date();
+
+  const output = writer.render({
+    exportedAt,
+    scope: job.scope,
+    owner: { id: owner._id, username: owner.username },
+    account: job.scope === 'account' ? await buildAccountData(job.user) : null,
+    conversations: exportConversations(conversationIds, job.user, onMessage),
+    openAttachment: (attachment) => openAttachment(attachment, conversationIds)
+  });
+
+  let fileSize = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      fileSize += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  output.on('error', error => counter.destroy(error));
+
+  // Keep the job locked while large attachments are copied
+  const heartbeat = setInterval(() => {
+    saveProgress(io, job).catch(error => output.destroy(error));
+  }, HEARTBEAT_MS);
+
+  const stamp = exportedAt.toISOString().slice(0, 10);
+  const fileKey = `exports/${job.user}/${job._id}.${writer.extension}`;
+  job.fileKey = fileKey;
+
+  try {
+    await getStorage().saveStream(fileKey, output.pipe(counter), writer.contentType);
+  } finally {
+    clearInterval(heartbeat);
+    // Stop reading messages when saving failed part way
+    output.destroy();
+  }
+
+  const completed = await ExportJob.findOneAndUpdate(
+    { _id: job._id, status: 'running' },
+    {
+      status: 'completed',
+      progress: { processed: job.progress.total, total: job.progress.total },
+      fileKey,
+      fileName: `chat-export-${job.scope}-${stamp}.${writer.extension}`,
+      contentType: writer.contentType,
+      fileSize,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+      $unset: { lockedUntil: 1 }
+    },
+    { new: true }
+  );
+  if (!completed) {
+    throw new ExportCancelledError();
+  }
+
+  io.to(userRoom(job.user)).emit('export:completed', completed.toClientJSON());
+};
+
+// Claim the oldest queued export, or one whose worker stopped renewing its lock
+const claimExport = (now) => {
+  return ExportJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    { status: 'running', startedAt: now, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Run a claimed export, recording why it failed if it does
+const processExport = async (io, job) => {
+  try {
+    await runExport(io, job);
+  } catch (error) {
+    if (job.fileKey) {
+      await getStorage().remove(job.fileKey).catch(() => {});
+    }
+
+    if (error instanceof ExportCancelledError) return;
+
+    console.error('Export error:', error);
+    const failed = await ExportJob.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { status: 'failed', error: 'The export could not be completed', $unset: { lockedUntil: 1, fileKey: 1 } },
+      { new: true }
+    );
+    if (failed) {
+      io.to(userRoom(job.user)).emit('export:failed', failed.toClientJSON());
+    }
+  }
+};
+
+// Remove exports whose download period ended. Each is claimed by deleting
+// it, so workers on several instances never remove the same file twice.
+const removeExpiredExports = async () => {
+  const expired = await ExportJob.find({ expiresAt: { $lte: new Date() } }).select('_id');
+  for (const { _id } of expired) {
+    const job = await ExportJob.findOneAndDelete({ _id, expiresAt: { $lte: new Date() } });
+    if (job && job.fileKey) {
+      await getStorage().remove(job.fileKey).catch(error => console.error('Remove export file error:', error));
+    }
+  }
+};
+
+let workerIo;
+let processing = false;
+
+// Run queued exports one after another. Exports are heavy, so an instance
+// runs one at a time.
+const processExports = async () => {
+  if (processing || !workerIo) return;
+  processing = true;
+
+  try {
+    let job;
+    while ((job = await claimExport(new Date()))) {
+      await processExport(workerIo, job);
+    }
+    await removeExpiredExports();
+  } finally {
+    processing = false;
+  }
+};
+
+const kickWorker = () => {
+  setImmediate(() => {
+    processExports().catch(error => console.error('Export worker error:', error));
+  });
+};
+
+// Run queued exports for as long as the process runs
+const startExportWorker = (io) => {
+  workerIo = io;
+
+  const timer = setInterval(() => {
+    processExports().catch(error => console.error('Export worker error:', error));
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  findOwnedExport,
+  requestExport,
+  deleteExport,
+  removeUserExports,
+  startExportWorker
+};
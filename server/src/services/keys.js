@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const KeyBundle = require('../models/KeyBundle');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { assertNotBlocked } = require('./blocks');
+const { userRoom } = require('../socket/rooms');
+
+// Most one-time prekeys kept per user, and accepted per upload
+const MAX_ONE_TIME_PREKEYS = parseInt(process.env.E2EE_MAX_ONE_TIME_PREKEYS) || 200;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+// Owners are asked to upload more one-time prekeys below this many
+const LOW_PREKEY_THRESHOLD = 10;
+
+const isKeyId = (value) => Number.isInteger(value) && value >= 0;
+const isPublicKey = (value) => typeof value === 'string' && value.length > 0 && value.length <= 1024;
+
+const validateSignedPreKey = (signedPreKey) => {
+  const { keyId, publicKey, signature } = signedPreKey || {};
+
+  if (!isKeyId(keyId) || !isPublicKey(publicKey) || !isPublicKey(signature)) {
+    throw new AppError(400, 'Signed prekey needs a keyId, publicKey and signature');
+  }
+
+  return { keyId, publicKey, signature };
+};
+
+const validateOneTimePreKeys = (preKeys) => {
+  if (!Array.isArray(preKeys)) {
+    throw new AppError(400, 'One-time prekeys must be an array');
+  }
+
+  if (preKeys.length > MAX_PREKEYS_PER_UPLOAD) {
+    throw new AppError(400, `Upload at most ${MAX_PREKEYS_PER_UPLOAD} one-time prekeys at a time`);
+  }
+
+  return preKeys.map(preKey => {
+    const { keyId, publicKey } = preKey || {};
+    if (!isKeyId(keyId) || !isPublicKey(publicKey)) {
+      throw new AppError(400, 'Each one-time prekey needs a keyId and publicKey');
+    }
+    return { keyId, publicKey };
+  });
+};
+
+// Tell the partners in a user's direct conversations that the user's identity
+// key changed or was removed, so they show a safety number change and ask
+// their user to verify it again
+const notifyIdentityChange = async (io, userId, identityKey, changedAt) => {
+  const conversations = await Conversation.find({ type: 'direct', 'members.user': userId }).select('members.user');
+
+  conversations.forEach(conversation => {
+    const partnerId = conversation.memberIds().find(memberId => memberId !== userId.toString());
+    if (!partnerId) return;
+
+    io.to(userRoom(partnerId)).emit('keys:identity_changed', {
+      userId,
+      conversationId: conversation._id,
+      identityKey,
+      changedAt
+    });
+  });
+};
+
+// Publish or replace a user's key bundle. A new identity key discards the old
+// one-time prekeys and notifies the user's partners; otherwise the signed
+// prekey is rotated and one-time prekeys are added.
+const publishKeys = async (io, userId, { identityKey, signedPreKey, oneTimePreKeys = [] } = {}) => {
+  if (!isPublicKey(identityKey)) {
+    throw new AppError(400, 'Identity key is required');
+  }
+
+  const validSignedPreKey = validateSignedPreKey(signedPreKey);
+  const validPreKeys = validateOneTimePreKeys(oneTimePreKeys);
+
+  const existing = await KeyBundle.findOne({ user: userId });
+  const bundle = existing || new KeyBundle({ user: userId });
+  const identityChanged = bundle.identityKey !== identityKey;
+
+  bundle.identityKey = identityKey;
+  bundle.signedPreKey = validSignedPreKey;
+
+  if (identityChanged) {
+    bundle.oneTimePreKeys = validPreKeys;
+    bundle.identityChangedAt = new Date();
+  } else {
+    bundle.oneTimePreKeys = [...bundle.oneTimePreKeys, ...validPreKeys].slice(-MAX_ONE_TIME_PREKEYS);
+  }
+
+  await bundle.save();
+
+  // Partners only have a safety number to verify again if there was one before
+  if (existing && identityChanged) {
+    await notifyIdentityChange(io, userId, identityKey, bundle.identityChangedAt);
+  }
+
+  return { bundle, identityChanged };
+};
+
+// Add one-time prekeys to a user's published bundle, keeping the newest
+const addOneTimePreKeys = async (userId, oneTimePreKeys) => {
+  const validPreKeys = validateOneTimePreKeys(oneTimePreKeys);
+
+  const bundle = await KeyBundle.findOneAndUpdate(
+    { user: userId },
+    { $push: { oneTimePreKeys: { $each: validPreKeys, $slice: -MAX_ONE_TIME_PREKEYS } } },
+    { new: true }
+  );
+
+  if (!bundle) {
+    throw new AppError(404, 'Publish a key bundle first', 'keys_not_found');
+  }
+
+  return bundle;
+};
+
+// Describe a user's own published keys
+const getKeyStatus = async (userId) => {
+  const bundle = await KeyBundle.findOne({ user: userId });
+
+  return {
+    enabled: Boolean(bundle),
+    identityKey: bundle ? bundle.identityKey : null,
+    signedPreKeyId: bundle ? bundle.signedPreKey.keyId : null,
+    oneTimePreKeyCount: bundle ? bundle.oneTimePreKeys.length : 0,
+    identityChangedAt: bundle ? bundle.identityChangedAt : null
+  };
+};
+
+// Hand out another user's bundle to start an encrypted session with them.
+// Each one-time prekey is given out once; when they run out the bundle comes
+// without one, and the owner is asked to upload more when few are left.
+const claimKeyBundle = async (io, requesterId, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new AppError(400, 'Invalid user ID');
+  }
+
+  const target = await User.exists({ _id: targetId, deletedAt: null });
+  if (!target) {
+    throw new AppError(404, 'User not found');
+  }
+
+  if (targetId.toString() !== requesterId.toString()) {
+    await assertNotBlocked(requesterId, targetId);
+  }
+
+  // The document from before the update holds the prekey that was removed
+  const bundle = await KeyBundle.findOneAndUpdate(
+    { user: targetId },
+    { $pop: { oneTimePreKeys: -1 } }
+  );
+
+  if (!bundle) {
+    throw new AppError(404, 'This user has not enabled end-to-end encryption', 'keys_not_found');
+  }
+
+  const [oneTimePreKey] = bundle.oneTimePreKeys;
+  const remaining = Math.max(bundle.oneTimePreKeys.length - 1, 0);
+
+  if (remaining < LOW_PREKEY_THRESHOLD) {
+    io.to(userRoom(targetId)).emit('keys:prekeys_low', { remaining });
+  }
+
+  return bundle.toClientJSON(oneTimePreKey);
+};
+
+// Remove a user's keys, turning end-to-end encryption off for new sessions
+const removeKeys = async (io, userId) => {
+  const bundle = await KeyBundle.findOneAndDelete({ user: userId });
+  if (!bundle) return false;
+
+  await notifyIdentityChange(io, userId, null, new Date());
+  return true;
+};
+
+module.exports = {
+  publishKeys,
+  addOneTimePreKeys,
+  getKeyStatus,
+  claimKeyBundle,
+  removeKeys
+};
@@ -0,0 +1,622 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { findSendableAttachments, linkAttachments, removeAttachments } = require('./attachments');
+const { assertNotBlocked } = require('./blocks');
+const { notifyNewMessage } = require('./notifications');
+const { emitWebhookEvent } = require('./webhooks');
+const { filterOnline } = require('../presence');
+const { userRoom, conversationRoom, joinConversationRoom } = require('../socket/rooms');
+
+const DELETE_FOR_EVERYONE_WINDOW_MS =
+  (parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// Most different emojis a single message can be reacted with
+const MAX_REACTION_EMOJIS = 20;
+// One emoji, possibly with skin tone modifiers, joiners, variation selectors and keycaps
+const EMOJI_SEQUENCE = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u;
+const PICTOGRAPH = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+const graphemes = new Intl.Segmenter();
+
+// Find the conversation a message is addressed to, by conversation id or by receiver id
+const resolveTarget = async (senderId, { conversationId, receiverId }) => {
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isMember(senderId)) {
+      throw new AppError(404, 'Conversation not found');
+    }
+
+    if (conversation.type === 'direct') {
+      const partnerId = conversation.memberIds().find(memberId => memberId !== senderId.toString());
+      await assertNotBlocked(senderId, partnerId);
+    }
+
+    return { conversation, created: false };
+  }
+
+  if (receiverId.toString() === senderId.toString()) {
+    throw new AppError(400, 'Cannot send message to yourself');
+  }
+
+  const receiver = await User.exists({ _id: receiverId, deletedAt: null });
+  if (!receiver) {
+    throw new AppError(404, 'Receiver not found');
+  }
+
+  await assertNotBlocked(senderId, receiverId);
+
+  return Conversation.findOrCreateDirect(senderId, receiverId);
+};
+
+// Deliver a saved message to the other members of its conversation, and to
+// the sender's other devices. originSocketId is the sending device, if any.
+const deliverMessage = async (io, conversation, message, originSocketId) => {
+  const senderId = (message.sender._id || message.sender).toString();
+
+  // Mark as delivered immediately for members who are online
+  const recipients = conversation.memberIds().filter(memberId => memberId !== senderId);
+  const onlineRecipients = await filterOnline(recipients);
+
+  if (onlineRecipients.length > 0) {
+    const now = new Date();
+    onlineRecipients.forEach(memberId => message.deliveredTo.push({ user: memberId, at: now }));
+    await message.save();
+  }
+
+  io.to(conversationRoom(conversation._id))
+    .except(userRoom(senderId))
+    .emit('message:new', {
+      ...message.toClientJSON(),
+      isFromMe: false
+    });
+
+  // Sync the message to the sender's other devices
+  const senderDevices = io.to(userRoom(senderId));
+  (originSocketId ? senderDevices.except(originSocketId) : senderDevices)
+    .emit('message:new', {
+      ...message.toClientJSON(),
+      isFromMe: true
+    });
+
+  // Members with no connected device get a push notification instead,
+  // without holding up the send
+  const offlineRecipients = recipients.filter(memberId => !onlineRecipients.includes(memberId));
+  if (offlineRecipients.length > 0) {
+    notifyNewMessage(conversation, message, offlineRecipients)
+      .catch(error => console.error('Push notification error:', error));
+  }
+
+  emitWebhookEvent('message.created', {
+    userIds: conversation.memberIds(),
+    data: (ownerId) => ({
+      conversationId: conversation._id,
+      message: message.toClientJSON(ownerId)
+    })
+  }).catch(error => console.error('Webhook event error:', error));
+};
+
+// Mark messages as delivered to a member and tell their senders
+const markDelivered = async (io, messages, userId) => {
+  const isSender = (message) => (message.sender._id || message.sender).toString() === userId.toString();
+  const pending = messages.filter(message => (
+    !isSender(message) &&
+    !message.deliveredTo.some(receipt => receipt.user.toString() === userId.toString())
+  ));
+
+  if (pending.length === 0) return;
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: pending.map(message => message._id) }, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, at: deliveredAt } } }
+  );
+  pending.forEach(message => message.deliveredTo.push({ user: userId, at: deliveredAt }));
+
+  // One event per sender and conversation
+  const batches = new Map();
+  pending.forEach(message => {
+    const senderId = (message.sender._id || message.sender).toString();
+    const key = `${senderId}:${message.conversation}`;
+    if (!batches.has(key)) {
+      batches.set(key, { senderId, conversationId: message.conversation, messageIds: [] });
+    }
+    batches.get(key).messageIds.push(message._id);
+  });
+
+  batches.forEach(({ senderId, conversationId, messageIds }) => {
+    io.to(userRoom(senderId)).emit('message:delivered', {
+      conversationId,
+      messageIds,
+      deliveredTo: userId,
+      deliveredAt
+    });
+  });
+};
+
+// Mark every message a member has not received yet in a conversation as delivered
+const markConversationDelivered = async (io, conversationId, userId) => {
+  const pending = await Message.find({
+    conversation: conversationId,
+    sender: { $ne: userId },
+    'deliveredTo.user': { $ne: userId }
+  }).select('sender conversation deliveredTo');
+
+  await markDelivered(io, pending, userId);
+};
+
+// Find a message the sender already stored under a client message id
+const findExistingSend = async (senderId, clientMessageId) => {
+  const message = await Message.findOne({ sender: senderId, clientMessageId });
+  if (!message) return null;
+
+  await message.populate('sender', 'username');
+  await message.populate('receiver', 'username');
+  await message.populate(Message.QUOTE_POPULATE);
+  return message;
+};
+
+// Find the message a new message replies to, in the same conversation and
+// still visible to the sender
+const findReplyParent = async (conversation, senderId, replyTo) => {
+  const parent = await Message.findOne({ _id: replyTo, conversation: conversation._id })
+    .select('deletedAt deletedFor expiresAt');
+
+  if (!parent || parent.isExpired() || parent.deletedFor.some(id => id.toString() === senderId.toString())) {
+    throw new AppError(404, 'Message to reply to not found');
+  }
+
+  if (parent.deletedAt) {
+    throw new AppError(400, 'Cannot reply to a deleted message');
+  }
+
+  return parent;
+};
+
+// Count a reply in or out of a message's thread and tell the conversation
+const updateReplyCount = async (io, parentId, change, repliedAt) => {
+  const parent = await Message.findByIdAndUpdate(
+    parentId,
+    {
+      $inc: { replyCount: change },
+      ...(repliedAt && { $max: { lastReplyAt: repliedAt } })
+    },
+    { new: true }
+  ).select('conversation replyCount lastReplyAt');
+
+  if (!parent) return;
+
+  io.to(conversationRoom(parent.conversation)).emit('message:thread', {
+    messageId: parent._id,
+    conversationId: parent.conversation,
+    replyCount: parent.replyCount,
+    lastReplyAt: parent.lastReplyAt
+  });
+};
+
+// Check the shape of an end-to-end encrypted payload, its content is never read
+const normalizeEncryptedPayload = (encrypted) => {
+  const { algorithm, header, ciphertext } = encrypted || {};
+
+  if (typeof ciphertext !== 'string' || ciphertext.length === 0) {
+    throw new AppError(400, 'Encrypted payload needs a ciphertext');
+  }
+
+  if ((algorithm !== undefined && typeof algorithm !== 'string') || (header !== undefined && typeof header !== 'string')) {
+    throw new AppError(400, 'Encrypted payload algorithm and header must be strings');
+  }
+
+  return { algorithm, header, ciphertext };
+};
+
+// Validate, store and deliver a new message. Sends that repeat a clientMessageId
+// return the stored message with duplicate set instead of creating another one.
+const sendMessage = async (io, senderId, {
+  conversationId,
+  receiverId,
+  text,
+  attachmentIds = [],
+  encrypted,
+  replyTo,
+  clientMessageId
+}, originSocketId) => {
+  if (clientMessageId !== undefined) {
+    if (typeof clientMessageId !== 'string' || clientMessageId.trim().length === 0 || clientMessageId.length > 100) {
+      throw new AppError(400, 'Client message ID must be a non-empty string of up to 100 characters');
+    }
+
+    const existing = await findExistingSend(senderId, clientMessageId.trim());
+    if (existing) {
+      return { message: existing, conversation: await Conversation.findById(existing.conversation), duplicate: true };
+    }
+  }
+
+  const hasAttachments = Array.isArray(attachmentIds) && attachmentIds.length > 0;
+  const isEncrypted = encrypted !== undefined && encrypted !== null;
+
+  if ((!conversationId && !receiverId) || (!text && !hasAttachments && !isEncrypted)) {
+    throw new AppError(400, 'Conversation or receiver ID and message text, attachments or an encrypted payload are required');
+  }
+
+  if (isEncrypted && (text !== undefined || hasAttachments)) {
+    throw new AppError(400, 'Encrypted messages cannot have plaintext or attachments');
+  }
+
+  const encryptedPayload = isEncrypted ? normalizeEncryptedPayload(encrypted) : undefined;
+
+  if (text !== undefined && (typeof text !== 'string' || (text.trim().length === 0 && !hasAttachments))) {
+    throw new AppError(400, 'Message text cannot be empty');
+  }
+
+  if (!mongoose.isValidObjectId(conversationId || receiverId)) {
+    throw new AppError(400, conversationId ? 'Invalid conversation ID' : 'Invalid receiver ID');
+  }
+
+  if (replyTo !== undefined && replyTo !== null && !mongoose.isValidObjectId(replyTo)) {
+    throw new AppError(400, 'Invalid reply message ID');
+  }
+
+  const attachments = hasAttachments
+    ? await findSendableAttachments(attachmentIds, senderId)
+    : [];
+
+  const { conversation, created } = await resolveTarget(senderId, { conversationId, receiverId });
+
+  if (isEncrypted && conversation.type !== 'direct') {
+    throw new AppError(400, 'Only direct messages can be end-to-end encrypted');
+  }
+
+  const parent = replyTo ? await findReplyParent(conversation, senderId, replyTo) : null;
+
+  const message = new Message({
+    conversation: conversation._id,
+    sender: senderId,
+    receiver: conversation.type === 'direct'
+      ? conversation.memberIds().find(memberId => memberId !== senderId.toString())
+      : undefined,
+    type: isEncrypted ? 'encrypted' : 'text',
+    text: text ? text.trim() : undefined,
+    encrypted: encryptedPayload,
+    replyTo: parent ? parent._id : undefined,
+    attachments: attachments.map(attachment => attachment.toSummary()),
+    clientMessageId: clientMessageId ? clientMessageId.trim() : undefined,
+    // Disappearing messages count down from when they are sent
+    expiresAt: conversation.messageTtl ? new Date(Date.now() + conversation.messageTtl * 1000) : undefined
+  });
+
+  try {
+    await message.save();
+  } catch (error) {
+    // A concurrent retry stored it first
+    if (error.code === 11000 && clientMessageId) {
+      const existing = await findExistingSend(senderId, clientMessageId.trim());
+      return { message: existing, conversation, duplicate: true };
+    }
+    throw error;
+  }
+
+  await linkAttachments(attachments, message);
+  await Conversation.recordMessage(message);
+
+  if (parent) {
+    await updateReplyCount(io, parent._id, 1, message.createdAt);
+  }
+
+  if (created) {
+    joinConversationRoom(io, conversation._id, conversation.memberIds());
+  }
+
+  await message.populate('sender', 'username');
+  await message.populate('receiver', 'username');
+  await message.populate(Message.QUOTE_POPULATE);
+
+  await deliverMessage(io, conversation, message, originSocketId);
+
+  return { message, conversation, duplicate: false };
+};
+
+// Mark every message in a conversation as read by a member and notify the others
+const markConversationRead = async (io, conversation, userId) => {
+  const result = await Message.markAsRead(conversation._id, userId);
+  await Conversation.markReadBy(conversation._id, userId);
+
+  const readAt = new Date();
+
+  // Reaches the other members and the reader's own devices
+  io.to(conversationRoom(conversation._id))
+    .emit('conversation:read', {
+      conversationId: conversation._id,
+      readBy: userId,
+      readAt
+    });
+
+  if (result.modifiedCount > 0) {
+    emitWebhookEvent('message.read', {
+      userIds: conversation.memberIds(),
+      data: { conversationId: conversation._id, messageId: null, readBy: userId, readAt }
+    }).catch(error => console.error('Webhook event error:', error));
+  }
+
+  return result;
+};
+
+// Mark a single message as read by a member and notify the others
+const markMessageRead = async (io, messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new AppError(400, 'Invalid message ID');
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message || message.isExpired()) {
+    throw new AppError(404, 'Message not found');
+  }
+
+  // Only other members of the conversation can mark a message as read
+  const conversation = await Conversation.findById(message.conversation);
+  if (!conversation || !conversation.isMember(userId) || message.sender.toString() === userId.toString()) {
+    throw new AppError(403, 'Not authorized to mark this message as read');
+  }
+
+  if (message.markReadBy(userId)) {
+    await message.save();
+    await Conversation.decrementUnread(conversation._id, userId);
+
+    const readAt = message.readBy[message.readBy.length - 1].at;
+
+    io.to(conversationRoom(conversation._id))
+      .emit('message:read', {
+        messageId: message._id,
+        conversationId: conversation._id,
+        readBy: userId,
+        readAt
+      });
+
+    emitWebhookEvent('message.read', {
+      userIds: conversation.memberIds(),
+      data: { conversationId: conversation._id, messageId: message._id, readBy: userId, readAt }
+    }).catch(error => console.error('Webhook event error:', error));
+  }
+
+  return message;
+};
+
+// Load a message and its conversation, checking the user is a member
+const findMemberMessage = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new AppError(400, 'Invalid message ID');
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message || message.isExpired() || message.deletedFor.some(id => id.toString() === userId.toString())) {
+    throw new AppError(404, 'Message not found');
+  }
+
+  const conversation = await Conversation.findById(message.conversation);
+  if (!conversation || !conversation.isMember(userId)) {
+    throw new AppError(404, 'Message not found');
+  }
+
+  return { message, conversation };
+};
+
+// Edit the text of one of the user's messages and notify every member
+const editMessage = async (io, messageId, userId, text) => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new AppError(400, 'Message text cannot be empty');
+  }
+
+  const { message, conversation } = await findMemberMessage(messageId, userId);
+
+  if (message.sender.toString() !== userId.toString()) {
+    throw new AppError(403, 'Not authorized to edit this message');
+  }
+
+  if (message.deletedAt) {
+    throw new AppError(400, 'Deleted messages cannot be edited');
+  }
+
+  if (message.type === 'encrypted') {
+    throw new AppError(400, 'Encrypted messages cannot be edited');
+  }
+
+  if (message.type === 'system') {
+    throw new AppError(400, 'System messages cannot be edited');
+  }
+
+  if (message.text === text.trim()) {
+    return message;
+  }
+
+  message.edit(text.trim());
+  await message.save();
+  await message.populate('sender', 'username');
+  await message.populate('receiver', 'username');
+  await message.populate(Message.QUOTE_POPULATE);
+
+  io.to(conversationRoom(conversation._id)).emit('message:updated', message.toClientJSON());
+
+  return message;
+};
+
+// Check that a reaction is a single emoji
+const normalizeEmoji = (emoji) => {
+  const value = typeof emoji === 'string' ? emoji.trim() : '';
+
+  const isSingleEmoji = EMOJI_SEQUENCE.test(value) && PICTOGRAPH.test(value) &&
+    Array.from(graphemes.segment(value)).length === 1;
+
+  if (!value || value.length > 32 || !isSingleEmoji) {
+    throw new AppError(400, 'Reaction must be a single emoji');
+  }
+
+  return value;
+};
+
+// Load a message a member may react to
+const findReactableMessage = async (messageId, userId) => {
+  const { message, conversation } = await findMemberMessage(messageId, userId);
+
+  if (message.deletedAt) {
+    throw new AppError(400, 'Deleted messages cannot be reacted to');
+  }
+
+  if (conversation.type === 'direct') {
+    const partnerId = conversation.memberIds().find(memberId => memberId !== userId.toString());
+    await assertNotBlocked(userId, partnerId);
+  }
+
+  return { message, conversation };
+};
+
+// Tell every member, and the reacting user's other devices, how a message's reactions changed
+const publishReactions = (io, message, { userId, emoji, action }) => {
+  io.to(conversationRoom(message.conversation)).emit('message:reaction', {
+    messageId: message._id,
+    conversationId: message.conversation,
+    userId,
+    emoji,
+    action,
+    reactions: message.summarizeReactions()
+  });
+};
+
+// React to a message with an emoji. Reacting again with the same emoji changes nothing.
+const addReaction = async (io, messageId, userId, emoji) => {
+  const value = normalizeEmoji(emoji);
+  const { message } = await findReactableMessage(messageId, userId);
+
+  const emojis = new Set(message.reactions.map(reaction => reaction.emoji));
+  if (!emojis.has(value) && emojis.size >= MAX_REACTION_EMOJIS) {
+    throw new AppError(400, `Messages can have at most ${MAX_REACTION_EMOJIS} different reactions`);
+  }
+
+  const updated = await Message.findOneAndUpdate(
+    {
+      _id: message._id,
+      deletedAt: null,
+      reactions: { $not: { $elemMatch: { user: userId, emoji: value } } }
+    },
+    { $push: { reactions: { emoji: value, user: userId, at: new Date() } } },
+    { new: true }
+  );
+
+  if (!updated) return message;
+
+  publishReactions(io, updated, { userId, emoji: value, action: 'added' });
+  return updated;
+};
+
+// Take back a reaction. Removing a reaction that is not there changes nothing.
+const removeReaction = async (io, messageId, userId, emoji) => {
+  const value = normalizeEmoji(emoji);
+  const { message } = await findMemberMessage(messageId, userId);
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $elemMatch: { user: userId, emoji: value } } },
+    { $pull: { reactions: { user: userId, emoji: value } } },
+    { new: true }
+  );
+
+  if (!updated) return message;
+
+  publishReactions(io, updated, { userId, emoji: value, action: 'removed' });
+  return updated;
+};
+
+// Clear a message for every member, drop its attachments and notify the conversation
+const removeForEveryone = async (io, message) => {
+  // Members who never read it should no longer count it as unread
+  await Conversation.discountUnread(message.conversation, [
+    message.sender,
+    ...message.readBy.map(receipt => receipt.user)
+  ]);
+
+  const attachmentIds = message.attachments.map(attachment => attachment._id);
+
+  message.deleteForEveryone();
+  await message.save();
+  await removeAttachments(attachmentIds);
+
+  // Deleted replies no longer count towards their thread
+  if (message.replyTo) {
+    await updateReplyCount(io, message.replyTo, -1);
+  }
+
+  io.to(conversationRoom(message.conversation)).emit('message:deleted', {
+    messageId: message._id,
+    conversationId: message.conversation,
+    forEveryone: true,
+    deletedAt: message.deletedAt
+  });
+
+  return message;
+};
+
+// Delete a message for the user only, or for every member within the time window
+const deleteMessage = async (io, messageId, userId, { forEveryone = false } = {}) => {
+  const { message, conversation } = await findMemberMessage(messageId, userId);
+
+  if (!forEveryone) {
+    message.deletedFor.addToSet(userId);
+    await message.save();
+
+    // Sync to the user's own devices only
+    io.to(userRoom(userId)).emit('message:deleted', {
+      messageId: message._id,
+      conversationId: conversation._id,
+      forEveryone: false
+    });
+
+    return message;
+  }
+
+  if (message.sender.toString() !== userId.toString()) {
+    throw new AppError(403, 'Only the sender can delete a message for everyone');
+  }
+
+  if (message.deletedAt) {
+    return message;
+  }
+
+  if (Date.now() - message.createdAt.getTime() > DELETE_FOR_EVERYONE_WINDOW_MS) {
+    throw new AppError(400, 'Messages can only be deleted for everyone within ' +
+      `${DELETE_FOR_EVERYONE_WINDOW_MS / 60000} minutes of sending`);
+  }
+
+  return removeForEveryone(io, message);
+};
+
+// Delete any message for everyone on behalf of a moderator, with no time limit
+const removeMessage = async (io, messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new AppError(400, 'Invalid message ID');
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw new AppError(404, 'Message not found');
+  }
+
+  if (message.deletedAt) {
+    return message;
+  }
+
+  return removeForEveryone(io, message);
+};
+
+module.exports = {
+  sendMessage,
+  deliverMessage,
+  updateReplyCount,
+  markDelivered,
+  markConversationDelivered,
+  markConversationRead,
+  markMessageRead,
+  findMemberMessage,
+  editMessage,
+  deleteMessage,
+  removeMessage,
+  addReaction,
+  removeReaction
+};
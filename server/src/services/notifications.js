@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const PushDevice = require('../models/PushDevice');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { getPushProvider, getEnabledPushProviders } = require('../push');
+
+// Longest message preview shown in a notification
+const PREVIEW_LENGTH = 120;
+
+const truncate = (text) => (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text);
+
+// Send a notification to one device through its provider. Devices whose token
+// the provider no longer knows are forgotten.
+const sendToDevice = async (device, notification) => {
+  const provider = getPushProvider(device.provider);
+  if (!provider) {
+    return { deviceId: device._id, delivered: false, error: 'Provider not enabled' };
+  }
+
+  try {
+    await provider.send(device, notification);
+    await PushDevice.updateOne({ _id: device._id }, { lastNotifiedAt: new Date() });
+    return { deviceId: device._id, delivered: true };
+  } catch (error) {
+    if (error.gone) {
+      await PushDevice.deleteOne({ _id: device._id });
+    } else {
+      console.error(`Push notification error (${device.provider}):`, error.message);
+    }
+    return { deviceId: device._id, delivered: false, error: error.message, removed: Boolean(error.gone) };
+  }
+};
+
+// Send a notification to every registered device of a user
+const sendToUser = async (userId, notification) => {
+  const devices = await PushDevice.find({ user: userId });
+  return Promise.all(devices.map(device => sendToDevice(device, notification)));
+};
+
+// Text shown for a message, without its content when previews are off or it is encrypted
+const describeMessage = (message, previews) => {
+  if (!previews || message.type === 'encrypted') {
+    return 'New message';
+  }
+
+  if (message.text) {
+    return truncate(message.text);
+  }
+
+  const [first] = message.attachments;
+  if (message.attachments.length === 1) {
+    return first.kind === 'image' ? 'Sent a photo' : `Sent ${first.fileName}`;
+  }
+  return `Sent ${message.attachments.length} attachments`;
+};
+
+// Build the notification for a user about the latest message in a conversation.
+// It uses the conversation as collapse key, so it replaces the one the device
+// already shows for the conversation, and counts the user's unread messages there.
+const buildMessageNotification = (conversation, message, user, unreadCount) => {
+  const previews = user.notificationSettings.previews !== false;
+  const senderName = message.sender.username;
+  const preview = describeMessage(message, previews);
+
+  let body = conversation.type === 'group' ? `${senderName}: ${preview}` : preview;
+  if (!previews && unreadCount > 1) {
+    body = `${unreadCount} new messages`;
+  }
+
+  return {
+    title: conversation.type === 'group' ? conversation.name : senderName,
+    body,
+    collapseKey: conversation._id.toString(),
+    data: {
+      type: 'message',
+      conversationId: conversation._id.toString(),
+      messageId: message._id.toString(),
+      unreadCount
+    }
+  };
+};
+
+// Push a new message to members who have no connected device. Members who
+// muted the conversation, blocked the sender or are in do-not-disturb are skipped.
+const notifyNewMessage = async (conversation, message, offlineMemberIds) => {
+  const senderId = (message.sender._id || message.sender).toString();
+  const candidateIds = offlineMemberIds.filter(memberId => (
+    memberId !== senderId && !conversation.isMutedBy(memberId)
+  ));
+  if (candidateIds.length === 0) return;
+
+  const withDevices = await PushDevice.distinct('user', { user: { $in: candidateIds } });
+  if (withDevices.length === 0) return;
+
+  const [users, current] = await Promise.all([
+    User.find({ _id: { $in: withDevices }, deletedAt: null, blockedUsers: { $ne: senderId } })
+      .select('notificationSettings'),
+    // Unread counts after this message was recorded
+    Conversation.findById(conversation._id).select('members')
+  ]);
+
+  await Promise.all(users
+    .filter(user => !user.isDoNotDisturb())
+    .map(user => {
+      const member = current && current.getMember(user._id);
+      const unreadCount = member ? member.unreadCount : 1;
+      return sendToUser(user._id, buildMessageNotification(conversation, message, user, unreadCount));
+    }));
+};
+
+// Register a device for push notifications, or move an existing token to the
+// current user and session. Web Push devices send their subscription instead of a token.
+const registerDevice = async (userId, sessionId, { provider, token, subscription, name } = {}) => {
+  const enabled = getEnabledPushProviders();
+  if (enabled.length === 0) {
+    throw new AppError(503, 'Push notifications are not enabled on this server');
+  }
+  if (!enabled.includes(provider)) {
+    throw new AppError(400, `Push provider must be one of: ${enabled.join(', ')}`);
+  }
+
+  let keys;
+  if (provider === 'webpush') {
+    const { endpoint, keys: subscriptionKeys } = subscription || {};
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) ||
+        !subscriptionKeys || typeof subscriptionKeys.p256dh !== 'string' || typeof subscriptionKeys.auth !== 'string') {
+      throw new AppError(400, 'A Web Push subscription with an https endpoint and p256dh and auth keys is required');
+    }
+    token = endpoint;
+    keys = { p256dh: subscriptionKeys.p256dh, auth: subscriptionKeys.auth };
+  } else if (typeof token !== 'string' || token.trim().length === 0) {
+    throw new AppError(400, 'Push token is required');
+  }
+
+  return PushDevice.findOneAndUpdate(
+    { provider, token: token.trim() },
+    { user: userId, session: sessionId, keys, name },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Forget one of the user's devices
+const removeDevice = async (userId, deviceId) => {
+  if (!mongoose.isValidObjectId(deviceId)) {
+    throw new AppError(400, 'Invalid device ID');
+  }
+
+  const result = await PushDevice.deleteOne({ _id: deviceId, user: userId });
+  if (result.deletedCount === 0) {
+    throw new AppError(404, 'Device not found');
+  }
+};
+
+// Format notification settings for API responses
+const formatSettings = (user) => {
+  const { previews, doNotDisturbUntil, quietHours } = user.notificationSettings;
+
+  return {
+    previews: previews !== false,
+    doNotDisturbUntil: doNotDisturbUntil && doNotDisturbUntil > new Date() ? doNotDisturbUntil : null,
+    quietHours: quietHours && quietHours.start
+      ? { start: quietHours.start, end: quietHours.end, timeZone: quietHours.timeZone || 'UTC' }
+      : null,
+    doNotDisturb: user.isDoNotDisturb()
+  };
+};
+
+// Change notification settings. doNotDisturbUntil and quietHours are cleared with null.
+const updateSettings = async (userId, { previews, doNotDisturbUntil, quietHours } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError(404, 'User not found');
+  }
+
+  if (previews !== undefined) {
+    if (typeof previews !== 'boolean') {
+      throw new AppError(400, 'Previews must be true or false');
+    }
+    user.notificationSettings.previews = previews;
+  }
+
+  if (doNotDisturbUntil !== undefined) {
+    const until = doNotDisturbUntil === null ? null : new Date(doNotDisturbUntil);
+    if (until && isNaN(until.getTime())) {
+      throw new AppError(400, 'Do-not-disturb end must be a date');
+    }
+    user.notificationSettings.doNotDisturbUntil = until || undefined;
+  }
+
+  if (quietHours !== undefined) {
+    if (quietHours === null) {
+      user.notificationSettings.quietHours = undefined;
+    } else {
+      const { start, end, timeZone = 'UTC' } = quietHours;
+      if (typeof start !== 'string' || typeof end !== 'string') {
+        throw new AppError(400, 'Quiet hours need a start and an end time');
+      }
+      try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+      } catch (error) {
+        throw new AppError(400, 'Unknown time zone');
+      }
+      user.notificationSettings.quietHours = { start, end, timeZone };
+    }
+  }
+
+  await user.save();
+  return formatSettings(user);
+};
+
+module.exports = {
+  sendToUser,
+  notifyNewMessage,
+  registerDevice,
+  removeDevice,
+  formatSettings,
+  updateSettings
+};
@@ -0,0 +1,263 @@
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { AppError } = require('../utils/errors');
+const { getOnlineUsers, isUserOnline } = require('../presence');
+const { emitWebhookEvent } = require('./webhooks');
+const { userRoom } = require('../socket/rooms');
+
+// Users who had no input on any device for this long are shown as away
+const IDLE_TIMEOUT_MS = (parseInt(process.env.PRESENCE_IDLE_MINUTES) || 5) * 60 * 1000;
+// Activity is written at most this often per socket while the user stays active
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = (parseInt(process.env.PRESENCE_SWEEP_SECONDS) || 30) * 1000;
+const MAX_STATUS_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Ids of users who see a user's presence: members of a conversation with the
+// user, except on either side of a block
+const getPresenceAudience = async (userId) => {
+  const [memberIds, blockedRelations] = await Promise.all([
+    Conversation.distinct('members.user', { 'members.user': userId }),
+    User.getBlockedRelations(userId)
+  ]);
+
+  const excluded = new Set([userId.toString(), ...blockedRelations]);
+  return memberIds.map(String).filter(id => !excluded.has(id));
+};
+
+// Presence event payload for a user as a viewer sees them
+const presencePayload = (user, viewerId) => ({
+  userId: user._id,
+  username: user.username,
+  ...user.getPresence(viewerId)
+});
+
+// Presence fields for REST responses about a user. Presence is hidden on
+// both sides of a block, and `connected` overrides the stored online flag.
+const presenceFields = (user, viewerId, { hidden = false, connected } = {}) => {
+  if (hidden) {
+    return { isOnline: false, lastSeen: null, presence: { status: 'offline', text: null, expiresAt: null } };
+  }
+
+  const { status, isOnline, text, expiresAt, lastSeen } = user.getPresence(
+    viewerId,
+    connected === undefined ? {} : { connected }
+  );
+  return { isOnline, lastSeen, presence: { status, text, expiresAt } };
+};
+
+const presenceChanged = (previous, next) => (
+  previous.status !== next.status ||
+  previous.text !== next.text ||
+  String(previous.expiresAt) !== String(next.expiresAt)
+);
+
+// Tell a user's contacts and the user's own devices about a presence change.
+// `previous` is the presence contacts saw before. Contacts get user:online or
+// user:offline when the user appears or disappears, and user:status otherwise.
+const publishPresence = async (io, user, previous) => {
+  const next = user.getPresence();
+
+  if (presenceChanged(previous, next)) {
+    const audience = await getPresenceAudience(user._id);
+
+    if (audience.length > 0) {
+      let event = 'user:status';
+      if (!previous.isOnline && next.isOnline) event = 'user:online';
+      if (previous.isOnline && !next.isOnline) event = 'user:offline';
+
+      io.to(audience.map(userRoom)).emit(event, presencePayload(user));
+
+      if (event === 'user:online') {
+        emitWebhookEvent('user.online', { userIds: audience, data: presencePayload(user) })
+          .catch(error => console.error('Webhook event error:', error));
+      }
+    }
+  }
+
+  io.to(userRoom(user._id)).emit('user:status', presencePayload(user, user._id));
+};
+
+// Mark a user connected when their first device connects. Invisible users do
+// not update their last seen time.
+const userConnected = async (io, userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const previous = user.getPresence();
+  const now = new Date();
+
+  user.isOnline = true;
+  user.idle = false;
+  user.lastActiveAt = now;
+  if (!user.isInvisible()) user.lastSeen = now;
+  await user.save();
+
+  await publishPresence(io, user, previous);
+};
+
+// Mark a user offline when their last device disconnects
+const userDisconnected = async (io, userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const previous = user.getPresence();
+
+  user.isOnline = false;
+  user.idle = false;
+  if (!user.isInvisible()) user.lastSeen = new Date();
+  await user.save();
+
+  await publishPresence(io, user, previous);
+};
+
+// Record input on a socket. `idleSeconds` is how long the device has gone
+// without input, as reported by heartbeats; other events count as fresh input.
+// An idle user who becomes active again is shown with their chosen status.
+const recordActivity = async (io, socket, idleSeconds = 0) => {
+  const now = Date.now();
+  const activeAt = now - Math.max(0, Number(idleSeconds) || 0) * 1000;
+
+  // The device is idle too, leave it to the sweeper
+  if (now - activeAt >= IDLE_TIMEOUT_MS) return;
+
+  if (socket.data.lastActivityAt && activeAt - socket.data.lastActivityAt < ACTIVITY_WRITE_INTERVAL_MS) return;
+  socket.data.lastActivityAt = activeAt;
+
+  // The previous document tells whether this write ended the idle state, so
+  // only one device reports the change
+  const user = await User.findOneAndUpdate(
+    { _id: socket.userId },
+    { $max: { lastActiveAt: new Date(activeAt) }, idle: false }
+  );
+
+  if (user && user.idle) {
+    const previous = user.getPresence();
+    user.idle = false;
+    await publishPresence(io, user, previous);
+  }
+};
+
+// Set the status a user chose, with optional custom text. `expiresIn` is in
+// minutes, after which the status reverts to online.
+const setStatus = async (io, userId, { status, text, expiresIn } = {}) => {
+  if (!User.PRESENCE_STATUSES.includes(status)) {
+    throw new AppError(400, `Status must be one of: ${User.PRESENCE_STATUSES.join(', ')}`);
+  }
+
+  if (text !== undefined && text !== null && typeof text !== 'string') {
+    throw new AppError(400, 'Status text must be a string');
+  }
+
+  let expiresAt;
+  if (expiresIn !== undefined && expiresIn !== null) {
+    const duration = Number(expiresIn) * 60 * 1000;
+    if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_STATUS_DURATION_MS) {
+      throw new AppError(400, 'Status expiry must be between 1 minute and 7 days');
+    }
+    expiresAt = new Date(Date.now() + duration);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError(404, 'User not found');
+  }
+
+  const previous = user.getPresence();
+  const wasInvisible = user.isInvisible();
+
+  user.presence = {
+    status,
+    text: text ? text.trim() || undefined : undefined,
+    expiresAt
+  };
+
+  // Going invisible leaves contacts with the time the user was last visible,
+  // and coming back from invisible makes the user seen now
+  if (user.isOnline && wasInvisible !== user.isInvisible()) {
+    user.lastSeen = new Date();
+  }
+
+  await user.save();
+  await publishPresence(io, user, previous);
+
+  return user.getPresence(user._id);
+};
+
+// Mark users idle, clear custom statuses that expired, and mark users offline
+// who have no connected device left, e.g. after an instance crashed
+const sweepPresence = async (io) => {
+  const now = new Date();
+  const idleBefore = new Date(now.getTime() - IDLE_TIMEOUT_MS);
+
+  const idleCandidates = await User.find({
+    isOnline: true,
+    idle: false,
+    lastActiveAt: { $lt: idleBefore }
+  }).select('_id');
+
+  for (const { _id } of idleCandidates) {
+    const user = await User.findOneAndUpdate(
+      { _id, isOnline: true, idle: false, lastActiveAt: { $lt: idleBefore } },
+      { idle: true }
+    );
+    if (!user) continue;
+
+    const previous = user.getPresence();
+    user.idle = true;
+    await publishPresence(io, user, previous);
+  }
+
+  const expired = await User.find({ 'presence.expiresAt': { $lte: now } }).select('_id');
+
+  for (const { _id } of expired) {
+    const user = await User.findOneAndUpdate(
+      { _id, 'presence.expiresAt': { $lte: now } },
+      { $unset: { presence: 1 } }
+    );
+    if (!user) continue;
+
+    // What contacts saw just before the status expired
+    const previous = user.getPresence(null, { at: new Date(user.presence.expiresAt.getTime() - 1) });
+    user.presence = undefined;
+
+    // An invisible status ran out while connected: the user is seen again
+    if (user.isOnline && !previous.isOnline) {
+      user.lastSeen = now;
+      await User.updateOne({ _id }, { lastSeen: now });
+    }
+
+    await publishPresence(io, user, previous);
+  }
+
+  const connectedIds = new Set(await getOnlineUsers());
+  const stale = await User.find({ isOnline: true }).select('_id');
+
+  for (const { _id } of stale) {
+    // Checked again, the user may have connected since the list was read
+    if (!connectedIds.has(_id.toString()) && !(await isUserOnline(_id))) {
+      await userDisconnected(io, _id);
+    }
+  }
+};
+
+// Sweep presence periodically for as long as the process runs
+const startPresenceSweeper = (io) => {
+  const timer = setInterval(() => {
+    sweepPresence(io).catch(error => console.error('Presence sweep error:', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getPresenceAudience,
+  presencePayload,
+  presenceFields,
+  publishPresence,
+  userConnected,
+  userDisconnected,
+  recordActivity,
+  setStatus,
+  sweepPresence,
+  startPresenceSweeper
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const User = require('../models/User');
+const uploadConfig = require('../config/uploads');
+const { getStorage } = require('../storage');
+const { AppError } = require('../utils/errors');
+const { userRoom } = require('../socket/rooms');
+const { revokeOtherSessions } = require('./sessions');
+const { getPresenceAudience } = require('./presence');
+const { sendVerificationEmail } = require('./emailTokens');
+
+// Tell every user who can see this user's presence about a profile change,
+// including the user's own devices. `audience` is given when it was worked
+// out before the user left their conversations.
+const broadcastProfile = async (io, user, audience) => {
+  const recipients = audience || await getPresenceAudience(user._id);
+
+  io.to([...recipients.map(userRoom), userRoom(user._id)]).emit('user:profile', {
+    userId: user._id,
+    ...user.toProfileJSON()
+  });
+};
+
+// Load a user with their password hash and check the current password
+const verifyCurrentPassword = async (userId, currentPassword) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) {
+    throw new AppError(404, 'User not found');
+  }
+
+  if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+    throw new AppError(401, 'Current password is incorrect', 'invalid_password');
+  }
+
+  return user;
+};
+
+// Update display name and bio. Empty values clear them.
+const updateProfile = async (userId, { displayName, bio }) => {
+  const user = await User.findById(userId).select('-password');
+
+  if (displayName !== undefined) {
+    if (displayName !== null && typeof displayName !== 'string') {
+      throw new AppError(400, 'Display name must be a string');
+    }
+    user.displayName = displayName ? displayName.trim() || undefined : undefined;
+  }
+
+  if (bio !== undefined) {
+    if (bio !== null && typeof bio !== 'string') {
+      throw new AppError(400, 'Bio must be a string');
+    }
+    user.bio = bio ? bio.trim() || undefined : undefined;
+  }
+
+  await user.save();
+  return user;
+};
+
+// Crop an uploaded image (from multer) to a square avatar and store it,
+// replacing the previous avatar
+const setAvatar = async (userId, file) => {
+  let avatar;
+  try {
+    avatar = await sharp(file.buffer)
+      .rotate()
+      .resize(uploadConfig.avatarSize, uploadConfig.avatarSize, { fit: 'cover' })
+      .webp()
+      .toBuffer();
+  } catch (error) {
+    throw new AppError(400, 'Image file is corrupt or not an image');
+  }
+
+  const storage = getStorage();
+  const user = await User.findById(userId).select('-password');
+  const previousKey = user.avatarKey;
+
+  user.avatarKey = `avatars/${crypto.randomUUID()}.webp`;
+  user.avatarUpdatedAt = new Date();
+
+  await storage.save(user.avatarKey, avatar, 'image/webp');
+  await user.save();
+
+  if (previousKey) {
+    await storage.remove(previousKey).catch(error => console.error('Remove avatar error:', error));
+  }
+
+  return user;
+};
+
+// Remove the user's avatar
+const removeAvatar = async (userId) => {
+  const user = await User.findById(userId).select('-password');
+  if (!user.avatarKey) return user;
+
+  const previousKey = user.avatarKey;
+  user.avatarKey = undefined;
+  user.avatarUpdatedAt = undefined;
+  await user.save();
+
+  await getStorage().remove(previousKey).catch(error => console.error('Remove avatar error:', error));
+  return user;
+};
+
+// Change the password, signing out every other session
+const changePassword = async (io, userId, sessionId, { currentPassword, newPassword }) => {
+  if (typeof newPassword !== 'string' || newPassword.length < 6) {
+    throw new AppError(400, 'New password must be at least 6 characters long');
+  }
+
+  const user = await verifyCurrentPassword(userId, currentPassword);
+
+  user.password = newPassword;
+  await user.save();
+
+  await revokeOtherSessions(io, user._id, sessionId);
+  return user;
+};
+
+// Change the email address. The new address has to be verified again.
+const changeEmail = async (userId, { currentPassword, email }) => {
+  if (!email || typeof email !== 'string') {
+    throw new AppError(400, 'Please provide the new email address');
+  }
+
+  const user = await verifyCurrentPassword(userId, currentPassword);
+  const normalized = email.toLowerCase().trim();
+
+  if (normalized === user.email) {
+    throw new AppError(400, 'That is already your email address');
+  }
+
+  if (await User.exists({ email: normalized })) {
+    throw new AppError(409, 'User with this email already exists');
+  }
+
+  user.email = normalized;
+  user.emailVerified = false;
+  user.emailVerifiedAt = undefined;
+  await user.save();
+
+  sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+  return user;
+};
+
+module.exports = {
+  broadcastProfile,
+  verifyCurrentPassword,
+  updateProfile,
+  setAvatar,
+  removeAvatar,
+  changePassword,
+  changeEmail
+};
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { findMemberMessage } = require('./messages');
+
+// Record a report about a user for moderators, optionally about one of
+// their messages the reporter can see. Reporting the same user or message
+// again while the report is open returns that report instead.
+const reportUser = async (reporterId, reportedUserId, { reason, details, messageId }) => {
+  if (!mongoose.isValidObjectId(reportedUserId)) {
+    throw new AppError(400, 'Invalid user ID');
+  }
+
+  if (reportedUserId.toString() === reporterId.toString()) {
+    throw new AppError(400, 'You cannot report yourself');
+  }
+
+  const reportedUser = await User.exists({ _id: reportedUserId });
+  if (!reportedUser) {
+    throw new AppError(404, 'User not found');
+  }
+
+  let message = null;
+  if (messageId) {
+    ({ message } = await findMemberMessage(messageId, reporterId));
+    if ((message.sender._id || message.sender).toString() !== reportedUserId.toString()) {
+      throw new AppError(400, 'Message was not sent by the reported user');
+    }
+  }
+
+  const existing = await Report.findOne({
+    reporter: reporterId,
+    reportedUser: reportedUserId,
+    message: message ? message._id : null,
+    status: 'open'
+  });
+  if (existing) {
+    return { report: existing, created: false };
+  }
+
+  const report = new Report({
+    reporter: reporterId,
+    reportedUser: reportedUserId,
+    reason,
+    details
+  });
+
+  if (message) {
+    report.message = message._id;
+    report.conversation = message.conversation;
+    report.messageText = message.text;
+  }
+
+  await report.save();
+  return { report, created: true };
+};
+
+module.exports = { reportUser };
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Lease = require('../models/Lease');
+const Message = require('../models/Message');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { removeAttachments } = require('./attachments');
+const { assertNotBlocked } = require('./blocks');
+const { deliverMessage, updateReplyCount } = require('./messages');
+const { conversationRoom } = require('../socket/rooms');
+
+const MIN_MESSAGE_TTL_SECONDS = 30;
+const MAX_MESSAGE_TTL_SECONDS = 365 * 24 * 60 * 60;
+const MAX_RETENTION_DAYS = 10 * 365;
+const RETENTION_SETTING = 'messageRetentionDays';
+// Used until an admin sets the retention period, unset keeps messages forever
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.MESSAGE_RETENTION_DAYS) || null;
+const SWEEP_INTERVAL_MS = (parseInt(process.env.RETENTION_SWEEP_SECONDS) || 60) * 1000;
+// Messages purged per batch, a sweep keeps going until none are left
+const PURGE_BATCH_SIZE = 200;
+// Only the instance holding this lease sweeps. It outlasts one missed renewal.
+const SWEEP_LEASE = 'retention-sweeper';
+const SWEEP_LEASE_MS = SWEEP_INTERVAL_MS * 2;
+
+const DURATION_UNITS = [
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+  ['second', 1]
+];
+
+// "1 day", "8 hours", "90 seconds"
+const formatDuration = (seconds) => {
+  const [unit, size] = DURATION_UNITS.find(([, unitSize]) => seconds % unitSize === 0);
+  const count = seconds / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+// Turn disappearing messages on for a conversation with a timer in seconds, or
+// off with null. Anyone in a direct conversation may change it, only admins in
+// a group. The change is announced to the conversation with a system message.
+const setDisappearingTimer = async (io, conversationId, userId, messageTtl) => {
+  const ttl = messageTtl === null || messageTtl === 0 ? null : Number(messageTtl);
+  if (ttl !== null && (!Number.isInteger(ttl) || ttl < MIN_MESSAGE_TTL_SECONDS || ttl > MAX_MESSAGE_TTL_SECONDS)) {
+    throw new AppError(400, `Disappearing message timer must be a whole number of seconds between ${MIN_MESSAGE_TTL_SECONDS} ` +
+      `and ${MAX_MESSAGE_TTL_SECONDS}, or null to turn it off`);
+  }
+
+  if (!mongoose.isValidObjectId(conversationId)) {
+    throw new AppError(400, 'Invalid conversation ID');
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.isMember(userId)) {
+    throw new AppError(404, 'Conversation not found');
+  }
+
+  if (conversation.type === 'group' && !conversation.isAdmin(userId)) {
+    throw new AppError(403, 'Only group admins can change disappearing messages');
+  }
+
+  if (conversation.type === 'direct') {
+    const partnerId = conversation.memberIds().find(memberId => memberId !== userId.toString());
+    await assertNotBlocked(userId, partnerId);
+  }
+
+  if ((conversation.messageTtl || null) === ttl) {
+    return { conversation, message: null };
+  }
+
+  conversation.messageTtl = ttl || undefined;
+  await conversation.save();
+
+  const user = await User.findById(userId).select('username');
+  const message = new Message({
+    conversation: conversation._id,
+    sender: userId,
+    receiver: conversation.type === 'direct'
+      ? conversation.memberIds().find(memberId => memberId !== userId.toString())
+      : undefined,
+    type: 'system',
+    text: ttl
+      ? `${user.username} set disappearing messages to ${formatDuration(ttl)}`
+      : `${user.username} turned off disappearing messages`,
+    system: { event: 'disappearing_timer', messageTtl: ttl || undefined }
+  });
+  await message.save();
+  await Conversation.recordMessage(message);
+
+  await message.populate('sender', 'username');
+  await message.populate('receiver', 'username');
+
+  io.to(conversationRoom(conversation._id)).emit('conversation:updated', conversation.toClientJSON());
+  await deliverMessage(io, conversation, message);
+
+  return { conversation, message };
+};
+
+// Global retention period in days, or null when messages are kept forever
+const getRetentionDays = () => Setting.getValue(RETENTION_SETTING, DEFAULT_RETENTION_DAYS);
+
+// Change the global retention period, null keeps messages forever
+const setRetentionDays = async (days, adminId) => {
+  const value = days === null || days === 0 ? null : Number(days);
+  if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION_DAYS)) {
+    throw new AppError(400, `Retention must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}, or null to keep messages forever`);
+  }
+
+  await Setting.setValue(RETENTION_SETTING, value, adminId);
+  return value;
+};
+
+// Point conversations whose last message was purged at their latest remaining one
+const repairLastMessages = async (conversationIds, purgedIds) => {
+  const affected = await Conversation.find({
+    _id: { $in: conversationIds },
+    lastMessage: { $in: purgedIds }
+  }).select('_id');
+
+  for (const { _id } of affected) {
+    const latest = await Message.findOne({ conversation: _id }).sort({ createdAt: -1, _id: -1 }).select('createdAt');
+
+    await Conversation.updateOne(
+      { _id },
+      latest
+        ? { lastMessage: latest._id, lastMessageAt: latest.createdAt }
+        : { $unset: { lastMessage: 1, lastMessageAt: 1 } }
+    );
+  }
+};
+
+// Delete messages for good with their attachments, and tell each conversation
+// which messages are gone. Each message is claimed by deleting it, so sweepers
+// on several instances never purge the same message twice.
+const purgeMessages = async (io, candidates) => {
+  const messages = [];
+  for (const candidate of candidates) {
+    const message = await Message.findOneAndDelete({ _id: candidate._id })
+      .select('conversation sender readBy attachments replyTo deletedAt');
+    if (message) messages.push(message);
+  }
+  if (messages.length === 0) return;
+
+  const purgedIds = messages.map(message => message._id);
+  const purged = new Set(purgedIds.map(id => id.toString()));
+
+  // Members who never read them should no longer count them as unread
+  for (const message of messages) {
+    if (message.deletedAt) continue;
+    await Conversation.discountUnread(message.conversation, [
+      message.sender,
+      ...message.readBy.map(receipt => receipt.user)
+    ]);
+  }
+
+  await removeAttachments(messages.flatMap(message => message.attachments.map(attachment => attachment._id)));
+
+  // Purged replies no longer count towards threads that are still there
+  for (const message of messages) {
+    if (message.replyTo && !message.deletedAt && !purged.has(message.replyTo.toString())) {
+      await updateReplyCount(io, message.replyTo, -1);
+    }
+  }
+
+  const byConversation = new Map();
+  for (const message of messages) {
+    const conversationId = message.conversation.toString();
+    if (!byConversation.has(conversationId)) byConversation.set(conversationId, []);
+    byConversation.get(conversationId).push(message._id);
+  }
+
+  await repairLastMessages(Array.from(byConversation.keys()), purgedIds);
+
+  for (const [conversationId, messageIds] of byConversation) {
+    io.to(conversationRoom(conversationId)).emit('message:expired', { conversationId, messageIds });
+  }
+};
+
+// Purge disappearing messages whose timer ran out, and messages older than
+// the global retention period
+const sweepExpiredMessages = async (io) => {
+  const now = new Date();
+  const retentionDays = await getRetentionDays();
+
+  const expired = [{ expiresAt: { $lte: now } }];
+  if (retentionDays) {
+    expired.push({ createdAt: { $lt: new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000) } });
+  }
+
+  for (;;) {
+    const candidates = await Message.find({ $or: expired }).select('_id').limit(PURGE_BATCH_SIZE);
+    if (candidates.length === 0) break;
+
+    await purgeMessages(io, candidates);
+  }
+};
+
+let sweeping = false;
+
+// Sweep expired messages periodically for as long as the process runs. With
+// several instances only the one holding the sweeper lease sweeps; should a
+// sweep outlast the lease, messages are still claimed one by one.
+const startRetentionSweeper = (io) => {
+  const timer = setInterval(() => {
+    // A long sweep is not started again while it runs
+    if (sweeping) return;
+    sweeping = true;
+
+    Lease.acquire(SWEEP_LEASE, SWEEP_LEASE_MS)
+      .then(acquired => acquired && sweepExpiredMessages(io))
+      .catch(error => console.error('Retention sweep error:', error))
+      .finally(() => { sweeping = false; });
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  setDisappearingTimer,
+  getRetentionDays,
+  setRetentionDays,
+  sweepExpiredMessages,
+  startRetentionSweeper
+};
@@ -0,0 +1,121 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const PushDevice = require('../models/PushDevice');
+const { AppError } = require('../utils/errors');
+const { hashToken, generateToken } = require('../utils/tokens');
+const { userRoom, sessionRoom } = require('../socket/rooms');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// A rotated refresh token presented again this soon is a concurrent refresh
+// from the same device rather than a leaked token
+const REFRESH_RACE_MS = 10 * 1000;
+
+// Generate short-lived JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Describe the device a request comes from
+const deviceInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+const issueTokens = (session, refreshToken) => ({
+  token: generateAccessToken(session.user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a session for a user signing in and issue its first token pair
+const createSession = async (userId, req) => {
+  const refreshToken = generateToken();
+
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    ...deviceInfo(req)
+  });
+
+  return { session, tokens: issueTokens(session, refreshToken) };
+};
+
+// Revoke a session and disconnect the sockets opened with it
+const revokeSession = async (io, session) => {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    await session.save();
+  }
+
+  // A signed out device stops receiving push notifications
+  await PushDevice.deleteMany({ session: session._id });
+
+  io.in(sessionRoom(session._id)).disconnectSockets(true);
+};
+
+// Revoke every active session of a user and disconnect all of their sockets
+const revokeUserSessions = async (io, userId) => {
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  await PushDevice.deleteMany({ user: userId });
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Revoke every session of a user except one, e.g. the one changing the password
+const revokeOtherSessions = async (io, userId, keepSessionId) => {
+  const sessions = await Session.find({ user: userId, _id: { $ne: keepSessionId }, revokedAt: null });
+  await Promise.all(sessions.map(session => revokeSession(io, session)));
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// The rotation is a single update matching the presented token, so of two
+// refreshes racing with the same token only one succeeds.
+const rotateSession = async (io, refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousRefreshTokenHash: tokenHash,
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: now,
+        expiresAt: refreshTokenExpiry(),
+        ...deviceInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    if (await Session.exists({ refreshTokenHash: tokenHash })) {
+      throw new AppError(401, 'Session expired or revoked');
+    }
+
+    // A rotated token was presented again, so it leaked: end the session.
+    // A device that sent two refreshes at once lost the race just now and is
+    // only turned away.
+    const compromised = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    if (compromised && now - compromised.lastUsedAt > REFRESH_RACE_MS) {
+      await revokeSession(io, compromised);
+    }
+    throw new AppError(401, 'Invalid refresh token');
+  }
+
+  return { session, tokens: issueTokens(session, nextRefreshToken) };
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeOtherSessions
+};
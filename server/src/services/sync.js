@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { AppError } = require('../utils/errors');
+const { markDelivered } = require('./messages');
+
+const SYNC_BATCH_SIZE = 500;
+
+// Turn the client's last-seen message id or timestamp into the position sync
+// starts after. A message id also orders messages sent in the same millisecond.
+const resolveSince = async (since) => {
+  if (!since) {
+    throw new AppError(400, 'Last seen message ID or timestamp is required');
+  }
+
+  if (mongoose.isValidObjectId(since) && /^[0-9a-f]{24}$/i.test(since)) {
+    const message = await Message.findById(since).select('createdAt');
+    if (!message) {
+      throw new AppError(404, 'Last seen message not found');
+    }
+    return { at: message.createdAt, id: message._id };
+  }
+
+  const timestamp = new Date(since);
+  if (isNaN(timestamp.getTime())) {
+    throw new AppError(400, 'Invalid sync timestamp');
+  }
+  return { at: timestamp, id: null };
+};
+
+// A sync cursor carries the period a sync covers and how far each of its
+// lists got, so every page of one sync covers the same period
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const toPosition = (value) => {
+    const position = { at: new Date(value.at), id: value.id ? new mongoose.Types.ObjectId(value.id) : null };
+    if (isNaN(position.at.getTime())) throw new Error('Invalid date');
+    return position;
+  };
+
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const until = new Date(state.until);
+    if (isNaN(until.getTime())) throw new Error('Invalid date');
+
+    return {
+      since: toPosition(state.since),
+      until,
+      messages: { after: toPosition(state.messages.after), done: Boolean(state.messages.done) },
+      updates: { after: state.updates.after ? toPosition(state.updates.after) : null, done: Boolean(state.updates.done) }
+    };
+  } catch (error) {
+    throw new AppError(400, 'Invalid sync cursor');
+  }
+};
+
+// Documents past a (time, id) position in `field` order
+const afterPosition = (field, { at, id }) => {
+  if (!id) return { [field]: { $gt: at } };
+  return { $or: [{ [field]: { $gt: at } }, { [field]: at, _id: { $gt: id } }] };
+};
+
+const populateMessage = (query) => query
+  .populate('sender', 'username')
+  .populate('receiver', 'username')
+  .populate(Message.QUOTE_POPULATE);
+
+// Fetch the next page of a list sorted by `field` then id. Returns the page,
+// where the next page starts and whether the list is done.
+const fetchPage = async (filters, field, list) => {
+  if (list.done) {
+    return { items: [], list };
+  }
+
+  const items = await populateMessage(Message.find({
+    $and: list.after ? [...filters, afterPosition(field, list.after)] : filters
+  }))
+    .sort({ [field]: 1, _id: 1 })
+    .limit(SYNC_BATCH_SIZE + 1);
+
+  const done = items.length <= SYNC_BATCH_SIZE;
+  const page = items.slice(0, SYNC_BATCH_SIZE);
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    list: { after: last ? { at: last[field], id: last._id } : list.after, done }
+  };
+};
+
+// Collect everything a reconnecting user missed since a point in time: new
+// messages, edits and deletions of older ones, and read receipts on their own
+// messages. New messages are marked as delivered and their senders notified.
+// Both lists come in pages. While hasMore is set the client syncs again with
+// the returned cursor; once it is not, syncedAt is where the next sync starts.
+const syncUser = async (io, userId, { since, cursor } = {}) => {
+  let state;
+  if (cursor) {
+    state = decodeCursor(cursor);
+  } else {
+    const start = await resolveSince(since);
+    state = {
+      since: start,
+      until: new Date(),
+      messages: { after: start, done: false },
+      updates: { after: null, done: false }
+    };
+  }
+  const sinceDate = state.since.at;
+  const viewerId = userId.toString();
+
+  const conversationIds = await Conversation.find({ 'members.user': userId }).distinct('_id');
+
+  const [newPage, changedPage] = await Promise.all([
+    fetchPage([
+      { conversation: { $in: conversationIds } },
+      { createdAt: { $lte: state.until } },
+      { deletedFor: { $ne: userId } },
+      Message.notExpired()
+    ], 'createdAt', state.messages),
+
+    // Messages the client had already, changed since
+    fetchPage([
+      { conversation: { $in: conversationIds } },
+      { $nor: [afterPosition('createdAt', state.since)] },
+      { updatedAt: { $gt: sinceDate, $lte: state.until } },
+      Message.notExpired()
+    ], 'updatedAt', state.updates)
+  ]);
+
+  const messages = newPage.items;
+  const changedMessages = changedPage.items;
+
+  await markDelivered(io, messages, userId);
+
+  const isDeletedForViewer = (message) => message.deletedFor.some(id => id.toString() === viewerId);
+  const isFromViewer = (message) => message.sender._id.toString() === viewerId;
+
+  // Read receipts others left on the user's messages since then
+  const readReceipts = [...messages, ...changedMessages]
+    .filter(isFromViewer)
+    .flatMap(message => message.readBy
+      .filter(receipt => receipt.at > sinceDate)
+      .map(receipt => ({
+        messageId: message._id,
+        conversationId: message.conversation,
+        readBy: receipt.user,
+        readAt: receipt.at
+      })));
+
+  const hasMoreMessages = !newPage.list.done;
+  const hasMoreUpdates = !changedPage.list.done;
+  const hasMore = hasMoreMessages || hasMoreUpdates;
+
+  return {
+    messages: messages.map(message => message.toClientJSON(userId)),
+    updates: changedMessages
+      .filter(message => !isDeletedForViewer(message))
+      .map(message => message.toClientJSON(userId)),
+    deleted: changedMessages
+      .filter(isDeletedForViewer)
+      .map(message => ({ messageId: message._id, conversationId: message.conversation, forEveryone: false })),
+    readReceipts,
+    hasMore,
+    hasMoreMessages,
+    hasMoreUpdates,
+    cursor: hasMore
+      ? encodeCursor({ since: state.since, until: state.until, messages: newPage.list, updates: changedPage.list })
+      : null,
+    syncedAt: state.until
+  };
+};
+
+module.exports = { syncUser };
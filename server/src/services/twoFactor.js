@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { hashToken } = require('../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Chat';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const BACKUP_CODE_COUNT = 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+// Load a user with their two-factor secrets
+const findWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user || user.deletedAt) {
+    throw new AppError(404, 'User not found');
+  }
+  return user;
+};
+
+// Backup codes look like "k3m9x-2hq7p", without easily confused characters,
+// and are compared case-insensitively
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const chars = Array.from({ length: 10 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+});
+
+const hashBackupCodes = (backupCodes) => backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)));
+
+// Accept a TOTP code once: the step is recorded atomically so the same code
+// cannot be used twice
+const acceptCode = async (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Use up a backup code
+const acceptBackupCode = async (user, backupCode) => {
+  const codeHash = hashToken(normalizeBackupCode(backupCode));
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': codeHash },
+    { $pull: { 'twoFactor.backupCodes': codeHash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Check the second factor: an authenticator code or a backup code
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  const accepted = backupCode
+    ? await acceptBackupCode(user, backupCode)
+    : await acceptCode(user, code);
+
+  if (!accepted) {
+    throw new AppError(401, 'Invalid authentication code', 'invalid_code');
+  }
+};
+
+// Issue a short-lived token proving the password step of a login succeeded
+const createChallenge = (user) => ({
+  challengeToken: jwt.sign(
+    { userId: user._id, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  ),
+  expiresIn: CHALLENGE_TTL
+});
+
+// Complete a two-step login: check the challenge token and the second factor
+const completeChallenge = async (challengeToken, { code, backupCode }) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError(401, 'Login challenge expired, please sign in again', 'invalid_challenge');
+  }
+
+  if (decoded.purpose !== '2fa_challenge') {
+    throw new AppError(401, 'Invalid login challenge', 'invalid_challenge');
+  }
+
+  const user = await findWithSecrets(decoded.userId);
+  if (!user.twoFactor.enabled) {
+    throw new AppError(401, 'Invalid login challenge', 'invalid_challenge');
+  }
+
+  if (user.suspendedAt) {
+    throw new AppError(403, 'Account suspended');
+  }
+
+  await verifySecondFactor(user, { code, backupCode });
+  return user;
+};
+
+// Start enrollment with a new secret, returned as an otpauth URI for the authenticator app
+const beginEnrollment = async (userId) => {
+  const user = await findWithSecrets(userId);
+
+  if (user.twoFactor.enabled) {
+    throw new AppError(409, 'Two-factor authentication is already enabled');
+  }
+
+  user.twoFactor.pendingSecret = generateSecret();
+  await user.save();
+
+  return {
+    secret: user.twoFactor.pendingSecret,
+    otpauthUri: buildOtpauthUri({
+      secret: user.twoFactor.pendingSecret,
+      accountName: user.email,
+      issuer: ISSUER
+    })
+  };
+};
+
+// Turn two-factor authentication on once the user proves their app has the
+// secret. Returns the backup codes, which are only ever shown this once.
+const confirmEnrollment = async (userId, code) => {
+  const user = await findWithSecrets(userId);
+
+  if (user.twoFactor.enabled) {
+    throw new AppError(409, 'Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError(400, 'Start two-factor setup first');
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new AppError(400, 'Invalid authentication code', 'invalid_code');
+  }
+
+  const backupCodes = generateBackupCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.backupCodes = hashBackupCodes(backupCodes);
+  await user.save();
+
+  return backupCodes;
+};
+
+// Check the password and a second factor again before sensitive changes
+const reauthenticate = async (user, { password, code, backupCode }) => {
+  const withPassword = await User.findById(user._id).select('password');
+  if (!password || !(await withPassword.comparePassword(password))) {
+    throw new AppError(401, 'Invalid password', 'invalid_password');
+  }
+
+  await verifySecondFactor(user, { code, backupCode });
+};
+
+// Replace the backup codes after re-authenticating
+const regenerateBackupCodes = async (userId, credentials) => {
+  const user = await findWithSecrets(userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError(400, 'Two-factor authentication is not enabled');
+  }
+
+  await reauthenticate(user, credentials);
+
+  const backupCodes = generateBackupCodes();
+  user.twoFactor.backupCodes = hashBackupCodes(backupCodes);
+  await user.save();
+
+  return backupCodes;
+};
+
+// Turn two-factor authentication off after re-authenticating
+const disableTwoFactor = async (userId, credentials) => {
+  const user = await findWithSecrets(userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError(400, 'Two-factor authentication is not enabled');
+  }
+
+  await reauthenticate(user, credentials);
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = undefined;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.backupCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  await user.save();
+};
+
+// Describe a user's two-factor setup
+const getTwoFactorStatus = async (userId) => {
+  const user = await findWithSecrets(userId);
+
+  return {
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt || null,
+    backupCodesRemaining: user.twoFactor.enabled ? user.twoFactor.backupCodes.length : 0
+  };
+};
+
+module.exports = {
+  createChallenge,
+  completeChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};
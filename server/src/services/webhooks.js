@@ -0,0 +1,425 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const mongoose = require('mongoose');
+// undici's own fetch, so it runs with the Agent below whatever Node bundles
+const { Agent, fetch } = require('undici');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../utils/errors');
+const { generateToken } = require('../utils/tokens');
+
+const MAX_WEBHOOKS_PER_USER = parseInt(process.env.MAX_WEBHOOKS_PER_USER) || 10;
+// Attempts per delivery before it fails for good
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Failed deliveries in a row after which the webhook is disabled
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 20;
+// Wait before the second attempt, doubled for each further one
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// How long a worker may hold a delivery before another instance retries it
+const LOCK_MS = 60 * 1000;
+const POLL_INTERVAL_MS = (parseInt(process.env.WEBHOOK_POLL_SECONDS) || 5) * 1000;
+// Deliveries sent per worker run
+const BATCH_SIZE = 50;
+const MAX_ERROR_LENGTH = 500;
+
+// Addresses webhooks may not reach unless WEBHOOK_ALLOW_PRIVATE_NETWORKS is
+// set, so users cannot make the server call into its own network
+const privateNetworks = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address, family) => {
+  // IPv4 addresses mapped into IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateNetworks.check(mapped[1], 'ipv4');
+  }
+  return privateNetworks.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const allowPrivateNetworks = () => process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+// dns.lookup for webhook connections that fails on private addresses. The
+// connection goes to the address checked here, so a host cannot resolve to a
+// public address when the URL is checked and a private one when it connects.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+      return callback(new Error('Webhook URL must not point to a private network'));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+// Check a webhook URL is http(s) and, unless allowed, resolves to public addresses only
+const assertDeliverableUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new AppError(400, 'Webhook URL is invalid');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new AppError(400, 'Webhook URL must use http or https');
+  }
+
+  if (allowPrivateNetworks()) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch (error) {
+    throw new AppError(400, 'Webhook URL host could not be resolved');
+  }
+
+  if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+    throw new AppError(400, 'Webhook URL must not point to a private network');
+  }
+};
+
+// Signature of a payload: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret.
+// Receivers recompute it and reject old timestamps to stop replays.
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Wait before the attempt after `attempts` failed ones: 30s, 1m, 2m, 4m...
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Find one of the user's webhooks
+const findOwnedWebhook = async (ownerId, webhookId, { withSecret = false } = {}) => {
+  if (!mongoose.isValidObjectId(webhookId)) {
+    throw new AppError(400, 'Invalid webhook ID');
+  }
+
+  const query = Webhook.findOne({ _id: webhookId, owner: ownerId });
+  const webhook = await (withSecret ? query.select('+secret') : query);
+  if (!webhook) {
+    throw new AppError(404, 'Webhook not found');
+  }
+
+  return webhook;
+};
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !Webhook.EVENTS.includes(event))) {
+    throw new AppError(400, `Events must be a list among: ${Webhook.EVENTS.join(', ')}`);
+  }
+  return Array.from(new Set(events));
+};
+
+// Register a webhook. Its secret is returned once, for the receiver to check signatures with.
+const createWebhook = async (ownerId, { url, events, description } = {}) => {
+  const count = await Webhook.countDocuments({ owner: ownerId });
+  if (count >= MAX_WEBHOOKS_PER_USER) {
+    throw new AppError(400, `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+  }
+
+  if (typeof url !== 'string') {
+    throw new AppError(400, 'Webhook URL is required');
+  }
+  await assertDeliverableUrl(url.trim());
+
+  const secret = `whsec_${generateToken(32)}`;
+  const webhook = await Webhook.create({
+    owner: ownerId,
+    url: url.trim(),
+    events: validateEvents(events),
+    description,
+    secret
+  });
+
+  return { webhook, secret };
+};
+
+// Change a webhook. Turning it back on clears the failures that disabled it.
+const updateWebhook = async (ownerId, webhookId, { url, events, description, active } = {}) => {
+  const webhook = await findOwnedWebhook(ownerId, webhookId);
+
+  if (url !== undefined) {
+    if (typeof url !== 'string') {
+      throw new AppError(400, 'Webhook URL is invalid');
+    }
+    await assertDeliverableUrl(url.trim());
+    webhook.url = url.trim();
+  }
+
+  if (events !== undefined) {
+    webhook.events = validateEvents(events);
+  }
+
+  if (description !== undefined) {
+    webhook.description = description || undefined;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new AppError(400, 'Active must be true or false');
+    }
+    if (active && !webhook.active) {
+      webhook.failureCount = 0;
+      webhook.disabledAt = undefined;
+    }
+    webhook.active = active;
+  }
+
+  await webhook.save();
+  return webhook;
+};
+
+// Remove a webhook and its delivery log
+const deleteWebhook = async (ownerId, webhookId) => {
+  const webhook = await findOwnedWebhook(ownerId, webhookId);
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+};
+
+// List a webhook's deliveries, newest first
+const listDeliveries = async (ownerId, webhookId, { status, before, limit = 20 } = {}) => {
+  const webhook = await findOwnedWebhook(ownerId, webhookId);
+
+  const query = { webhook: webhook._id };
+  if (status !== undefined) {
+    if (!WebhookDelivery.STATUSES.includes(status)) {
+      throw new AppError(400, `Status must be one of: ${WebhookDelivery.STATUSES.join(', ')}`);
+    }
+    query.status = status;
+  }
+  if (before !== undefined) {
+    if (!mongoose.isValidObjectId(before)) {
+      throw new AppError(400, 'Invalid cursor');
+    }
+    query._id = { $lt: before };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const deliveries = await WebhookDelivery.find(query).sort({ _id: -1 }).limit(pageSize + 1);
+
+  return {
+    deliveries: deliveries.slice(0, pageSize),
+    nextCursor: deliveries.length > pageSize ? deliveries[pageSize - 1]._id : null
+  };
+};
+
+// Send one attempt of a delivery and record how it went
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const now = new Date();
+
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook is disabled';
+    delivery.lockedUntil = undefined;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let error;
+
+  try {
+    await assertDeliverableUrl(webhook.url);
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ChatWebhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      // A redirect could lead anywhere, including private networks
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      ...(!allowPrivateNetworks() && { dispatcher: publicAgent })
+    });
+
+    delivery.lastStatusCode = response.status;
+    // Only the status matters, let the connection go
+    await response.body?.cancel().catch(() => {});
+
+    if (!response.ok) {
+      error = `Endpoint responded with status ${response.status}`;
+    }
+  } catch (requestError) {
+    // fetch reports connection failures, refused private addresses among
+    // them, as "fetch failed" with the reason as the cause
+    error = requestError.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+      : (requestError.cause && requestError.cause.message) || requestError.message;
+  }
+
+  delivery.lockedUntil = undefined;
+
+  if (!error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+    await delivery.save();
+    await Webhook.updateOne({ _id: webhook._id }, { failureCount: 0, lastDeliveryAt: delivery.deliveredAt });
+    return delivery;
+  }
+
+  delivery.lastError = error.slice(0, MAX_ERROR_LENGTH);
+
+  if (delivery.attempts < MAX_ATTEMPTS) {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    await delivery.save();
+    return delivery;
+  }
+
+  delivery.status = 'failed';
+  await delivery.save();
+
+  // An endpoint that keeps failing is turned off until its owner turns it back on
+  const updated = await Webhook.findOneAndUpdate(
+    { _id: webhook._id },
+    { $inc: { failureCount: 1 } },
+    { new: true }
+  );
+  if (updated && updated.active && updated.failureCount >= DISABLE_AFTER_FAILURES) {
+    await Webhook.updateOne({ _id: webhook._id, active: true }, { active: false, disabledAt: new Date() });
+  }
+
+  return delivery;
+};
+
+// Claim a due delivery, so no other instance sends it at the same time
+const claimDelivery = (now) => {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + LOCK_MS), $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+let processing = false;
+
+// Send the deliveries that are due
+const processDeliveries = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (let sent = 0; sent < BATCH_SIZE; sent++) {
+      const delivery = await claimDelivery(new Date());
+      if (!delivery) break;
+
+      await attemptDelivery(delivery);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+const kickWorker = () => {
+  setImmediate(() => {
+    processDeliveries().catch(error => console.error('Webhook delivery error:', error));
+  });
+};
+
+// Queue a delivery of an event to one webhook
+const queueDelivery = (webhook, event, data) => {
+  const id = new mongoose.Types.ObjectId();
+
+  return WebhookDelivery.create({
+    _id: id,
+    webhook: webhook._id,
+    event,
+    payload: {
+      id: id.toString(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    }
+  });
+};
+
+// Send an event to the webhooks the given users registered for it. data is the
+// event payload, or a function building it for each webhook owner.
+const emitWebhookEvent = async (event, { userIds, data }) => {
+  if (userIds.length === 0) return;
+
+  const webhooks = await Webhook.find({ owner: { $in: userIds }, active: true, events: event });
+  if (webhooks.length === 0) return;
+
+  await Promise.all(webhooks.map(webhook => (
+    queueDelivery(webhook, event, typeof data === 'function' ? data(webhook.owner) : data)
+  )));
+  kickWorker();
+};
+
+// Send a test event to a webhook, whichever events it is registered for
+const pingWebhook = async (ownerId, webhookId) => {
+  const webhook = await findOwnedWebhook(ownerId, webhookId);
+
+  const delivery = await queueDelivery(webhook, 'ping', { webhookId: webhook._id.toString() });
+  kickWorker();
+
+  return delivery;
+};
+
+// Send a delivery again as a new delivery, keeping the original in the log
+const redeliver = async (ownerId, webhookId, deliveryId) => {
+  const webhook = await findOwnedWebhook(ownerId, webhookId);
+
+  if (!mongoose.isValidObjectId(deliveryId)) {
+    throw new AppError(400, 'Invalid delivery ID');
+  }
+
+  const original = await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhook._id });
+  if (!original) {
+    throw new AppError(404, 'Delivery not found');
+  }
+
+  const delivery = await queueDelivery(webhook, original.event, original.payload.data);
+  kickWorker();
+
+  return delivery;
+};
+
+// Send due deliveries periodically for as long as the process runs
+const startWebhookWorker = () => {
+  const timer = setInterval(() => {
+    processDeliveries().catch(error => console.error('Webhook delivery error:', error));
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  signPayload,
+  findOwnedWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  emitWebhookEvent,
+  pingWebhook,
+  redeliver,
+  processDeliveries,
+  startWebhookWorker
+};
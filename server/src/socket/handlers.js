@@ -1,120 +1,281 @@
-const Message = require('../models/Message');
 const User = require('../models/User');
+const Conversation = require('../models/Conversation');
 const { socketAuth } = require('../middleware/auth');
-
-// Store active socket connections
-const activeUsers = new Map(); // userId -> socketId
-const userSockets = new Map(); // socketId -> userId
+const { socketRateLimit } = require('../middleware/rateLimit');
+const {
+  sendMessage,
+  markConversationRead,
+  markMessageRead,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction
+} = require('../services/messages');
+const { syncUser } = require('../services/sync');
+const {
+  userConnected,
+  userDisconnected,
+  recordActivity,
+  setStatus,
+  startPresenceSweeper
+} = require('../services/presence');
+const { AppError, toErrorPayload } = require('../utils/errors');
+const { addSocket, removeSocket, getOnlineUsers, getUserSockets, isUserOnline } = require('../presence');
+const { userRoom, conversationRoom, sessionRoom, blockedRoom } = require('./rooms');
 
 const setupSocketHandlers = (io) => {
   // Socket authentication middleware
   io.use(socketAuth);
 
+  // Mark idle users away, expire custom statuses and clear stale online flags
+  startPresenceSweeper(io);
+
   io.on('connection', async (socket) => {
+    // Hold events sent while the connection is being set up until the
+    // handlers below are registered, and drop them if the setup fails
+    let setupDone;
+    const ready = new Promise(resolve => { setupDone = resolve; });
+    socket.use((packet, next) => {
+      ready.then(succeeded => {
+        if (succeeded) next();
+      });
+    });
+
+    // Limit how often each event may be sent, before any handler runs
+    socket.use(socketRateLimit(socket));
+
+    // Any event from the client counts as user input for idle detection,
+    // heartbeats report the device's own idle time instead
+    socket.use(([event], next) => {
+      if (event !== 'presence:heartbeat') {
+        recordActivity(io, socket).catch(error => console.error('Presence activity error:', error));
+      }
+      next();
+    });
+
+    const userId = socket.userId;
+    let watchingDisconnect = false;
+
+    // Remove the socket from presence, the user stays online while another
+    // device is connected
+    const handleDisconnect = async () => {
+      try {
+        console.log(`User ${socket.user.username} disconnected`);
+
+        const wasLastDevice = await removeSocket(userId, socket.id);
+        if (!wasLastDevice) return;
+
+        // Mark the user offline and notify the users they share a conversation with
+        await userDisconnected(io, userId);
+
+      } catch (error) {
+        console.error('Disconnect error:', error);
+      }
+    };
+
     try {
-      const userId = socket.userId;
       console.log(`User ${socket.user.username} connected with socket ${socket.id}`);
 
-      // Store user connection
-      activeUsers.set(userId, socket.id);
-      userSockets.set(socket.id, userId);
+      // Store user connection, a user may be connected from several devices
+      const isFirstDevice = await addSocket(userId, socket.id);
+
+      // Join personal and session rooms, a room for every conversation the
+      // user belongs to, and the blocked room of every user on either side of
+      // a block with them. Blocking and unblocking keep the blocked rooms up to date.
+      const [conversations, blockedRelations] = await Promise.all([
+        Conversation.find({ 'members.user': userId }).select('_id'),
+        User.getBlockedRelations(userId)
+      ]);
+      socket.join([
+        userRoom(userId),
+        sessionRoom(socket.sessionId),
+        ...conversations.map(conversation => conversationRoom(conversation._id)),
+        ...blockedRelations.map(blockedRoom)
+      ]);
+
+      // Own devices and users on either side of a block do not see typing
+      const typingExcluded = [userRoom(userId), blockedRoom(userId)];
+
+      if (isFirstDevice) {
+        // Mark the user online and notify the users they share a conversation with
+        await userConnected(io, userId);
+      }
+
+      // The socket may have dropped while it was being set up, before there
+      // was a disconnect handler to notice
+      if (!socket.connected) {
+        setupDone(false);
+        await handleDisconnect();
+        return;
+      }
+      socket.on('disconnect', handleDisconnect);
+      watchingDisconnect = true;
+
+      // Resolve the conversation for typing events, by conversation id or
+      // by the other user's id in a direct chat
+      const resolveConversationId = async ({ conversationId, receiverId } = {}) => {
+        if (conversationId) {
+          return socket.rooms.has(conversationRoom(conversationId)) ? conversationId : null;
+        }
 
-      // Update user online status
-      await User.findByIdAndUpdate(userId, {
-        isOnline: true,
-        lastSeen: new Date()
-      });
+        if (!receiverId) return null;
+
+        const resolved = await Conversation.resolveForUser(userId, receiverId);
+        return resolved && resolved.conversation ? resolved.conversation._id.toString() : null;
+      };
+
+      // Handle reconnect sync: the client sends its last-seen message id or
+      // timestamp and receives everything it missed, then the returned cursor
+      // for each further page
+      socket.on('sync', async (data, callback) => {
+        const respond = typeof callback === 'function'
+          ? callback
+          : (payload) => socket.emit('sync:result', payload);
 
-      // Notify other users that this user is online
-      socket.broadcast.emit('user:online', {
-        userId,
-        username: socket.user.username
+        try {
+          const { since, cursor } = data || {};
+          const result = await syncUser(io, userId, { since, cursor });
+
+          respond({ success: true, data: result });
+
+        } catch (error) {
+          console.error('Sync error:', error);
+          respond({
+            success: false,
+            message: error instanceof AppError ? error.message : 'Failed to sync'
+          });
+        }
       });
 
-      // Handle sending messages
-      socket.on('message:send', async (data) => {
+      // Handle sending messages. Clients pass an ack callback to receive the
+      // saved message or a structured error, and a clientMessageId so retries
+      // of the same send are stored once.
+      socket.on('message:send', async (data, callback) => {
+        const ack = typeof callback === 'function' ? callback : null;
+
         try {
-          const { receiverId, text } = data;
+          const {
+            conversationId,
+            receiverId,
+            text,
+            attachmentIds,
+            encrypted,
+            replyTo,
+            clientMessageId
+          } = data || {};
+
+          const { message, conversation, duplicate } = await sendMessage(io, userId, {
+            conversationId,
+            receiverId,
+            text,
+            attachmentIds,
+            encrypted,
+            replyTo,
+            clientMessageId
+          }, socket.id);
+
+          // Confirm to sender
+          if (ack) {
+            ack({ success: true, data: { message: message.toClientJSON(userId), duplicate } });
+          } else {
+            socket.emit('message:sent', message.toClientJSON(userId));
+          }
 
-          // Validation
-          if (!receiverId || !text || text.trim().length === 0) {
-            socket.emit('error', { message: 'Invalid message data' });
-            return;
+          if (!duplicate) {
+            console.log(`Message sent from ${socket.user.username} to conversation ${conversation._id}`);
           }
 
-          // Check if receiver exists
-          const receiver = await User.findById(receiverId);
-          if (!receiver) {
-            socket.emit('error', { message: 'Receiver not found' });
-            return;
+        } catch (error) {
+          console.error('Message send error:', error);
+          const payload = toErrorPayload(error, 'Failed to send message');
+
+          if (ack) {
+            ack({ success: false, error: payload });
+          } else {
+            socket.emit('error', { ...payload, clientMessageId: data && data.clientMessageId });
           }
+        }
+      });
 
-          // Create and save message
-          const message = new Message({
-            sender: userId,
-            receiver: receiverId,
-            text: text.trim()
+      // Handle message edits
+      socket.on('message:edit', async (data) => {
+        try {
+          const { messageId, text } = data || {};
+          await editMessage(io, messageId, userId, text);
+        } catch (error) {
+          console.error('Message edit error:', error);
+          socket.emit('error', {
+            message: error instanceof AppError ? error.message : 'Failed to edit message'
           });
+        }
+      });
 
-          await message.save();
-          await message.populate('sender', 'username');
-          await message.populate('receiver', 'username');
-
-          const messageData = {
-            id: message._id,
-            text: message.text,
-            sender: {
-              id: message.sender._id,
-              username: message.sender.username
-            },
-            receiver: {
-              id: message.receiver._id,
-              username: message.receiver.username
-            },
-            delivered: message.delivered,
-            read: message.read,
-            createdAt: message.createdAt
-          };
-
-          // Send to receiver if online
-          const receiverSocketId = activeUsers.get(receiverId);
-          if (receiverSocketId) {
-            io.to(receiverSocketId).emit('message:new', {
-              ...messageData,
-              isFromMe: false
-            });
+      // Handle message deletion, for the user only or for everyone
+      socket.on('message:delete', async (data) => {
+        try {
+          const { messageId, scope = 'me' } = data || {};
+          await deleteMessage(io, messageId, userId, { forEveryone: scope === 'everyone' });
+        } catch (error) {
+          console.error('Message delete error:', error);
+          socket.emit('error', {
+            message: error instanceof AppError ? error.message : 'Failed to delete message'
+          });
+        }
+      });
 
-            // Mark as delivered immediately if receiver is online
-            message.delivered = true;
-            message.deliveredAt = new Date();
-            await message.save();
+      // Handle reactions. Every member receives message:reaction with the new counts.
+      socket.on('reaction:add', async (data, callback) => {
+        const ack = typeof callback === 'function' ? callback : null;
+
+        try {
+          const { messageId, emoji } = data || {};
+          const message = await addReaction(io, messageId, userId, emoji);
+
+          if (ack) ack({ success: true, data: { messageId: message._id, reactions: message.summarizeReactions(userId) } });
+
+        } catch (error) {
+          console.error('Reaction add error:', error);
+          const payload = toErrorPayload(error, 'Failed to add reaction');
+
+          if (ack) {
+            ack({ success: false, error: payload });
+          } else {
+            socket.emit('error', payload);
           }
+        }
+      });
 
-          // Confirm to sender
-          socket.emit('message:sent', {
-            ...messageData,
-            isFromMe: true,
-            delivered: message.delivered
-          });
+      socket.on('reaction:remove', async (data, callback) => {
+        const ack = typeof callback === 'function' ? callback : null;
 
-          console.log(`Message sent from ${socket.user.username} to ${receiver.username}`);
+        try {
+          const { messageId, emoji } = data || {};
+          const message = await removeReaction(io, messageId, userId, emoji);
+
+          if (ack) ack({ success: true, data: { messageId: message._id, reactions: message.summarizeReactions(userId) } });
 
         } catch (error) {
-          console.error('Message send error:', error);
-          socket.emit('error', { message: 'Failed to send message' });
+          console.error('Reaction remove error:', error);
+          const payload = toErrorPayload(error, 'Failed to remove reaction');
+
+          if (ack) {
+            ack({ success: false, error: payload });
+          } else {
+            socket.emit('error', payload);
+          }
         }
       });
 
       // Handle typing indicators
-      socket.on('typing:start', (data) => {
+      socket.on('typing:start', async (data) => {
         try {
-          const { receiverId } = data;
-          const receiverSocketId = activeUsers.get(receiverId);
-          
-          if (receiverSocketId) {
-            io.to(receiverSocketId).emit('typing:start', {
+          const conversationId = await resolveConversationId(data);
+
+          if (conversationId) {
+            socket.to(conversationRoom(conversationId)).except(typingExcluded).emit('typing:start', {
               userId,
-              username: socket.user.username
+              username: socket.user.username,
+              conversationId
             });
           }
         } catch (error) {
@@ -122,15 +283,15 @@ const setupSocketHandlers = (io) => {
         }
       });
 
-      socket.on('typing:stop', (data) => {
+      socket.on('typing:stop', async (data) => {
         try {
-          const { receiverId } = data;
-          const receiverSocketId = activeUsers.get(receiverId);
-          
-          if (receiverSocketId) {
-            io.to(receiverSocketId).emit('typing:stop', {
+          const conversationId = await resolveConversationId(data);
+
+          if (conversationId) {
+            socket.to(conversationRoom(conversationId)).except(typingExcluded).emit('typing:stop', {
               userId,
-              username: socket.user.username
+              username: socket.user.username,
+              conversationId
             });
           }
         } catch (error) {
@@ -141,30 +302,8 @@ const setupSocketHandlers = (io) => {
       // Handle message read receipts
       socket.on('message:read', async (data) => {
         try {
-          const { messageId, senderId } = data;
-
-          // Update message as read
-          const message = await Message.findByIdAndUpdate(
-            messageId,
-            { 
-              read: true, 
-              readAt: new Date() 
-            },
-            { new: true }
-          );
-
-          if (message) {
-            // Notify sender if online
-            const senderSocketId = activeUsers.get(senderId);
-            if (senderSocketId) {
-              io.to(senderSocketId).emit('message:read', {
-                messageId,
-                readBy: userId,
-                readAt: message.readAt
-              });
-            }
-          }
-
+          const { messageId } = data || {};
+          await markMessageRead(io, messageId, userId);
         } catch (error) {
           console.error('Message read error:', error);
         }
@@ -173,18 +312,11 @@ const setupSocketHandlers = (io) => {
       // Handle conversation read (mark all messages as read)
       socket.on('conversation:read', async (data) => {
         try {
-          const { senderId } = data;
-
-          // Mark all messages from sender as read
-          await Message.markAsRead(senderId, userId);
+          const { conversationId, senderId } = data || {};
 
-          // Notify sender if online
-          const senderSocketId = activeUsers.get(senderId);
-          if (senderSocketId) {
-            io.to(senderSocketId).emit('conversation:read', {
-              readBy: userId,
-              readAt: new Date()
-            });
+          const resolved = await Conversation.resolveForUser(userId, conversationId || senderId);
+          if (resolved && resolved.conversation) {
+            await markConversationRead(io, resolved.conversation, userId);
           }
 
         } catch (error) {
@@ -192,58 +324,52 @@ const setupSocketHandlers = (io) => {
         }
       });
 
-      // Handle user status updates
-      socket.on('status:update', async (data) => {
+      // Handle heartbeats, sent periodically with the seconds since the
+      // device last saw user input
+      socket.on('presence:heartbeat', async (data) => {
         try {
-          const { isOnline } = data;
-          
-          await User.findByIdAndUpdate(userId, {
-            isOnline: isOnline !== undefined ? isOnline : true,
-            lastSeen: new Date()
-          });
-
-          // Broadcast status update
-          socket.broadcast.emit('user:status', {
-            userId,
-            isOnline: isOnline !== undefined ? isOnline : true,
-            lastSeen: new Date()
-          });
-
+          const { idleSeconds } = data || {};
+          await recordActivity(io, socket, idleSeconds);
         } catch (error) {
-          console.error('Status update error:', error);
+          console.error('Presence heartbeat error:', error);
         }
       });
 
-      // Handle disconnect
-      socket.on('disconnect', async () => {
-        try {
-          console.log(`User ${socket.user.username} disconnected`);
-
-          // Remove from active users
-          activeUsers.delete(userId);
-          userSockets.delete(socket.id);
+      // Handle user status updates: online, away, busy or invisible, with
+      // optional custom text and an expiry in minutes. Being connected is
+      // tracked by the server, clients cannot set it.
+      socket.on('status:update', async (data, callback) => {
+        const ack = typeof callback === 'function' ? callback : null;
 
-          // Update user offline status
-          await User.findByIdAndUpdate(userId, {
-            isOnline: false,
-            lastSeen: new Date()
-          });
+        try {
+          const { status, text, expiresIn } = data || {};
+          const presence = await setStatus(io, userId, { status, text, expiresIn });
 
-          // Notify other users that this user is offline
-          socket.broadcast.emit('user:offline', {
-            userId,
-            username: socket.user.username,
-            lastSeen: new Date()
-          });
+          if (ack) ack({ success: true, data: { presence } });
 
         } catch (error) {
-          console.error('Disconnect error:', error);
+          console.error('Status update error:', error);
+          const payload = toErrorPayload(error, 'Failed to update status');
+
+          if (ack) {
+            ack({ success: false, error: payload });
+          } else {
+            socket.emit('error', payload);
+          }
         }
       });
 
+      setupDone(true);
+
     } catch (error) {
       console.error('Socket connection error:', error);
+      setupDone(false);
       socket.disconnect();
+
+      // Undo whatever part of the setup ran
+      if (!watchingDisconnect) {
+        await handleDisconnect();
+      }
     }
   });
 
@@ -253,18 +379,9 @@ const setupSocketHandlers = (io) => {
   });
 };
 
-// Helper function to get online users
-const getOnlineUsers = () => {
-  return Array.from(activeUsers.keys());
-};
-
-// Helper function to check if user is online
-const isUserOnline = (userId) => {
-  return activeUsers.has(userId);
-};
-
 module.exports = {
   setupSocketHandlers,
   getOnlineUsers,
+  getUserSockets,
   isUserOnline
 };
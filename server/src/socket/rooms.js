@@ -0,0 +1,41 @@
+// Socket.IO room names
+const userRoom = (userId) => `user:${userId}`;
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+// Sockets of the users on either side of a block with the user, who do not see their typing
+const blockedRoom = (userId) => `blocked:${userId}`;
+
+// Subscribe every connected socket of the given users to a conversation room
+const joinConversationRoom = (io, conversationId, userIds) => {
+  if (userIds.length === 0) return;
+  io.in(userIds.map(userRoom)).socketsJoin(conversationRoom(conversationId));
+};
+
+// Unsubscribe every connected socket of the given users from a conversation room
+const leaveConversationRoom = (io, conversationId, userIds) => {
+  if (userIds.length === 0) return;
+  io.in(userIds.map(userRoom)).socketsLeave(conversationRoom(conversationId));
+};
+
+// Put the connected sockets of two users in each other's blocked room
+const joinBlockedRooms = (io, userId, otherId) => {
+  io.in(userRoom(userId)).socketsJoin(blockedRoom(otherId));
+  io.in(userRoom(otherId)).socketsJoin(blockedRoom(userId));
+};
+
+// Take the connected sockets of two users out of each other's blocked room
+const leaveBlockedRooms = (io, userId, otherId) => {
+  io.in(userRoom(userId)).socketsLeave(blockedRoom(otherId));
+  io.in(userRoom(otherId)).socketsLeave(blockedRoom(userId));
+};
+
+module.exports = {
+  userRoom,
+  conversationRoom,
+  sessionRoom,
+  blockedRoom,
+  joinConversationRoom,
+  leaveConversationRoom,
+  joinBlockedRooms,
+  leaveBlockedRooms
+};
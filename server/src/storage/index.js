@@ -0,0 +1,33 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDisk');
+
+// Storage adapters implement:
+//   save(key, buffer, contentType) -> Promise
+//   saveStream(key, stream, contentType) -> Promise, for files too large to buffer
+//   createReadStream(key)          -> Readable
+//   remove(key)                    -> Promise
+// and are selected with the STORAGE_DRIVER environment variable.
+const drivers = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')
+  })
+};
+
+let storage;
+
+// Get the configured storage adapter
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver "${driver}". Supported: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    storage = drivers[driver]();
+  }
+
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,39 @@
+// Machine-readable codes for HTTP statuses, sent to socket clients
+const defaultCodes = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited'
+};
+
+// Error carrying an HTTP status, thrown by services and reported by routes and socket handlers
+class AppError extends Error {
+  constructor(status, message, code = defaultCodes[status] || 'internal_error') {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Structured error for socket acknowledgements
+const toErrorPayload = (error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return { code: error.code, message: error.message };
+  }
+
+  if (error.name === 'ValidationError') {
+    return {
+      code: 'validation_failed',
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    };
+  }
+
+  return { code: 'internal_error', message: fallbackMessage };
+};
+
+module.exports = { AppError, toErrorPayload };
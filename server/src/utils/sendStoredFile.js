@@ -0,0 +1,29 @@
+const { getStorage } = require('../storage');
+
+// Stream a stored file to the response
+const sendStoredFile = (res, key, { contentType, fileName, inline }) => {
+  const stream = getStorage().createReadStream(key);
+
+  stream.on('error', (error) => {
+    console.error('Stored file stream error:', error);
+    if (!res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${encodeURIComponent(fileName)}"`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=86400'
+  });
+
+  stream.pipe(res);
+};
+
+module.exports = { sendStoredFile };
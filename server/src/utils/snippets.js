@@ -0,0 +1,46 @@
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search query into words, ignoring quotes and negated terms
+const queryTerms = (query) => {
+  return query
+    .split(/\s+/)
+    .map(term => term.replace(/["']/g, ''))
+    .filter(term => term.length > 0 && !term.startsWith('-'));
+};
+
+// Cut a snippet around the first match of the query and report where the
+// matches are within it. Terms match word prefixes, roughly following the
+// stemming the text index applies.
+const buildSnippet = (text, query) => {
+  const terms = queryTerms(query);
+  if (terms.length === 0) {
+    return { snippet: text.slice(0, SNIPPET_RADIUS * 2), highlights: [] };
+  }
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const firstMatch = pattern.exec(text);
+  pattern.lastIndex = 0;
+
+  const center = firstMatch ? firstMatch.index : 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(text.length, center + SNIPPET_RADIUS);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.slice(start, end);
+
+  const highlights = [];
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    highlights.push({
+      start: prefix.length + match.index,
+      end: prefix.length + match.index + match[0].length
+    });
+  }
+
+  return { snippet: `${prefix}${body}${suffix}`, highlights };
+};
+
+module.exports = { buildSnippet };
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Only hashes of opaque tokens are stored, so a database leak does not leak usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate an opaque random token
+const generateToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+module.exports = { hashToken, generateToken };
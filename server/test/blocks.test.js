@@ -0,0 +1,147 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../src/models/User');
+const Conversation = require('../src/models/Conversation');
+const { AppError } = require('../src/utils/errors');
+const { blockUser, unblockUser } = require('../src/services/blocks');
+const { sendMessage } = require('../src/services/messages');
+
+let users;
+let alice;
+let bob;
+let carol;
+let events;
+
+const createUser = (username) => new User({
+  _id: new mongoose.Types.ObjectId(),
+  username,
+  email: `${username}@example.com`,
+  password: 'password123',
+  isOnline: true
+});
+
+// Match a user against the filters the block checks query with
+const matches = (user, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === '$or') return value.some(alternative => matches(user, alternative));
+  if (key === '_id') return user._id.equals(value);
+  if (key === 'blockedUsers') return user.blockedUsers.some(id => id.equals(value));
+  if (key === 'deletedAt') return !user.deletedAt;
+  throw new Error(`Unexpected filter on ${key}`);
+});
+
+// Query that can be awaited as is or after select()
+const query = (result) => Object.assign(Promise.resolve(result), { select: async () => result });
+
+// Socket.IO server recording emits and room changes
+const io = {
+  to: (room) => ({ emit: (event, payload) => events.push(['emit', room, event, payload.userId.toString()]) }),
+  in: (room) => ({
+    socketsJoin: (joined) => events.push(['join', room, joined]),
+    socketsLeave: (left) => events.push(['leave', room, left])
+  })
+};
+
+// Stand in for the database with three users
+beforeEach(() => {
+  alice = createUser('alice');
+  bob = createUser('bob');
+  carol = createUser('carol');
+  users = [alice, bob, carol];
+  events = [];
+
+  mock.method(User, 'findById', (id) => query(users.find(user => user._id.equals(id)) || null));
+  mock.method(User, 'find', (filter) => query(users.filter(user => matches(user, filter))));
+  mock.method(User, 'exists', async (filter) => {
+    const user = users.find(candidate => matches(candidate, filter));
+    return user ? { _id: user._id } : null;
+  });
+  mock.method(User, 'updateOne', async ({ _id }, update) => {
+    const user = users.find(candidate => candidate._id.equals(_id));
+    const before = user.blockedUsers.length;
+
+    if (update.$addToSet && !user.blockedUsers.some(id => id.equals(update.$addToSet.blockedUsers))) {
+      user.blockedUsers.push(update.$addToSet.blockedUsers);
+    }
+    if (update.$pull) {
+      user.blockedUsers.pull(update.$pull.blockedUsers);
+    }
+    return { modifiedCount: user.blockedUsers.length === before ? 0 : 1 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const rejectsBlocked = (promise) => assert.rejects(promise, (error) => (
+  error instanceof AppError && error.status === 403 && error.code === 'blocked'
+));
+
+test('blocked relations cover both users who were blocked and who blocked', async () => {
+  alice.blockedUsers.push(bob._id);
+  carol.blockedUsers.push(alice._id, bob._id);
+  bob.blockedUsers.push(alice._id);
+
+  assert.deepStrictEqual((await User.getBlockedRelations(alice._id)).sort(), [bob._id.toString(), carol._id.toString()].sort());
+  assert.deepStrictEqual((await User.getBlockedRelations(bob._id)).sort(), [alice._id.toString(), carol._id.toString()].sort());
+  assert.deepStrictEqual(await User.getBlockedRelations(new mongoose.Types.ObjectId()), []);
+});
+
+test('blocking hides typing and presence between the two users', async () => {
+  await blockUser(io, alice._id, bob._id);
+
+  assert.deepStrictEqual(events, [
+    ['join', `user:${alice._id}`, `blocked:${bob._id}`],
+    ['join', `user:${bob._id}`, `blocked:${alice._id}`],
+    ['emit', `user:${bob._id}`, 'user:offline', alice._id.toString()],
+    ['emit', `user:${alice._id}`, 'user:offline', bob._id.toString()]
+  ]);
+
+  // Blocking again changes nothing
+  events = [];
+  await blockUser(io, alice._id, bob._id);
+  assert.deepStrictEqual(events, []);
+});
+
+test('unblocking shows typing and presence again', async () => {
+  alice.blockedUsers.push(bob._id);
+
+  await unblockUser(io, alice._id, bob._id);
+
+  assert.deepStrictEqual(events.slice(0, 2), [
+    ['leave', `user:${alice._id}`, `blocked:${bob._id}`],
+    ['leave', `user:${bob._id}`, `blocked:${alice._id}`]
+  ]);
+  assert.deepStrictEqual(events.slice(2).map(([, room, event]) => [room, event]), [
+    [`user:${bob._id}`, 'user:online'],
+    [`user:${alice._id}`, 'user:online']
+  ]);
+});
+
+test('unblocking keeps typing and presence hidden while the other user blocks back', async () => {
+  alice.blockedUsers.push(bob._id);
+  bob.blockedUsers.push(alice._id);
+
+  await unblockUser(io, alice._id, bob._id);
+
+  assert.deepStrictEqual(events, []);
+});
+
+test('a direct message is refused across a block in either direction', async () => {
+  bob.blockedUsers.push(alice._id);
+
+  await rejectsBlocked(sendMessage(io, alice._id, { receiverId: bob._id, text: 'hello' }));
+  await rejectsBlocked(sendMessage(io, bob._id, { receiverId: alice._id, text: 'hello' }));
+});
+
+test('a message to an existing direct conversation is refused across a block', async () => {
+  alice.blockedUsers.push(bob._id);
+  const conversation = new Conversation({ type: 'direct', members: [{ user: alice._id }, { user: bob._id }] });
+  mock.method(Conversation, 'findById', async () => conversation);
+
+  await rejectsBlocked(sendMessage(io, bob._id, { conversationId: conversation._id, text: 'hello' }));
+});
@@ -0,0 +1,62 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Conversation = require('../src/models/Conversation');
+const User = require('../src/models/User');
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+const carol = new mongoose.Types.ObjectId();
+
+let conversations;
+
+// Stand in for the database with a direct conversation between alice and bob.
+// Creating a conversation fails the test.
+beforeEach(() => {
+  conversations = [new Conversation({
+    type: 'direct',
+    directKey: [alice.toString(), bob.toString()].sort().join(':'),
+    members: [{ user: alice }, { user: bob }]
+  })];
+
+  mock.method(Conversation, 'findById', async (id) => (
+    conversations.find(conversation => conversation._id.equals(id)) || null
+  ));
+  mock.method(Conversation, 'findOne', async ({ directKey }) => (
+    conversations.find(conversation => conversation.directKey === directKey) || null
+  ));
+  mock.method(Conversation, 'create', async () => {
+    throw new Error('resolving must not create a conversation');
+  });
+  mock.method(User, 'exists', async ({ _id }) => (
+    [alice, bob, carol].some(id => id.equals(_id)) ? { _id } : null
+  ));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a conversation id resolves for members only', async () => {
+  const [conversation] = conversations;
+
+  assert.strictEqual((await Conversation.resolveForUser(alice, conversation._id)).conversation, conversation);
+  assert.strictEqual(await Conversation.resolveForUser(carol, conversation._id), null);
+});
+
+test('a user id resolves to the existing direct conversation', async () => {
+  const resolved = await Conversation.resolveForUser(bob, alice);
+
+  assert.strictEqual(resolved.conversation, conversations[0]);
+});
+
+test('a user id without a direct conversation does not start one', async () => {
+  assert.deepStrictEqual(await Conversation.resolveForUser(alice, carol), { conversation: null });
+  assert.strictEqual(conversations.length, 1);
+});
+
+test('unknown users and the user themselves do not resolve', async () => {
+  assert.strictEqual(await Conversation.resolveForUser(alice, new mongoose.Types.ObjectId()), null);
+  assert.strictEqual(await Conversation.resolveForUser(alice, alice), null);
+});
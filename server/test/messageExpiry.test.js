@@ -0,0 +1,76 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const { AppError } = require('../src/utils/errors');
+const { markMessageRead } = require('../src/services/messages');
+
+const NOW = 1700000000000;
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+const disappearingMessage = (fields = {}) => new Message({
+  conversation: new mongoose.Types.ObjectId(),
+  sender: new mongoose.Types.ObjectId(),
+  text: 'hello',
+  expiresAt: new Date(NOW - 1000),
+  ...fields
+});
+
+test('the conversation list leaves an expired last message out of the preview', () => {
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  const query = Conversation.listForUser(new mongoose.Types.ObjectId());
+  const { match } = query._mongooseOptions.populate.lastMessage;
+
+  // Evaluated when the page is loaded, not when the list was first asked for
+  mock.timers.tick(5000);
+  assert.deepStrictEqual(match(), Message.notExpired(new Date(NOW + 5000)));
+});
+
+test('a reply quoting an expired message shows a placeholder', () => {
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  const parent = disappearingMessage();
+  parent.sender = { _id: parent.sender, username: 'alice' };
+
+  const reply = new Message({
+    conversation: parent.conversation,
+    sender: new mongoose.Types.ObjectId(),
+    text: 'hi',
+    replyTo: parent
+  });
+
+  assert.deepStrictEqual(reply.formatQuote(), {
+    id: parent._id,
+    deleted: true,
+    placeholder: 'This message has expired'
+  });
+
+  parent.expiresAt = new Date(NOW + 1000);
+  assert.strictEqual(reply.formatQuote().text, 'hello');
+});
+
+test('an expired message cannot be marked as read', async () => {
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  const message = disappearingMessage();
+  const emitted = [];
+  const io = { to: () => ({ emit: (...args) => emitted.push(args) }) };
+
+  mock.method(Message, 'findById', async () => message);
+  mock.method(Conversation, 'findById', async () => {
+    throw new Error('conversation should not be loaded');
+  });
+
+  await assert.rejects(
+    markMessageRead(io, message._id, new mongoose.Types.ObjectId()),
+    (error) => error instanceof AppError && error.status === 404
+  );
+  assert.deepStrictEqual(emitted, []);
+});
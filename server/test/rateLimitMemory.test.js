@@ -0,0 +1,70 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const createMemoryRateLimitStore = require('../src/rateLimit/memory');
+
+// 5 requests at once, then one every 2 seconds
+const LIMIT = { capacity: 5, refillPerSecond: 0.5 };
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('a new bucket allows a full burst, then refuses', async () => {
+  const store = createMemoryRateLimitStore();
+
+  for (let remaining = 4; remaining >= 0; remaining--) {
+    assert.deepStrictEqual(await store.take('burst', LIMIT), { allowed: true, remaining, retryAfterMs: 0 });
+  }
+
+  const refused = await store.take('burst', LIMIT);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.remaining, 0);
+});
+
+test('retryAfterMs is the time until the next token', async () => {
+  const store = createMemoryRateLimitStore();
+  for (let i = 0; i < 5; i++) await store.take('retry', LIMIT);
+
+  assert.strictEqual((await store.take('retry', LIMIT)).retryAfterMs, 2000);
+
+  // Half a token has come back after a second
+  mock.timers.tick(1000);
+  assert.strictEqual((await store.take('retry', LIMIT)).retryAfterMs, 1000);
+
+  mock.timers.tick(1000);
+  assert.deepStrictEqual(await store.take('retry', LIMIT), { allowed: true, remaining: 0, retryAfterMs: 0 });
+});
+
+test('buckets refill over time up to their capacity', async () => {
+  const store = createMemoryRateLimitStore();
+  for (let i = 0; i < 5; i++) await store.take('refill', LIMIT);
+
+  mock.timers.tick(4000);
+  assert.deepStrictEqual(await store.take('refill', LIMIT), { allowed: true, remaining: 1, retryAfterMs: 0 });
+
+  // Long idle periods never add more than a full bucket
+  mock.timers.tick(60 * 60 * 1000);
+  assert.deepStrictEqual(await store.take('refill', LIMIT), { allowed: true, remaining: 4, retryAfterMs: 0 });
+});
+
+test('a request costing more than one token waits for all of them', async () => {
+  const store = createMemoryRateLimitStore();
+
+  assert.strictEqual((await store.take('cost', { ...LIMIT, cost: 4 })).remaining, 1);
+
+  const refused = await store.take('cost', { ...LIMIT, cost: 3 });
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.retryAfterMs, 4000);
+});
+
+test('buckets are kept per key', async () => {
+  const store = createMemoryRateLimitStore();
+  for (let i = 0; i < 5; i++) await store.take('first', LIMIT);
+
+  assert.strictEqual((await store.take('first', LIMIT)).allowed, false);
+  assert.strictEqual((await store.take('second', LIMIT)).allowed, true);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const createRedisRateLimitStore = require('../src/rateLimit/redis');
+
+// Client standing in for ioredis, replying to the token script with a fixed reply
+const scriptClient = (reply) => {
+  const client = {
+    defined: [],
+    calls: [],
+    defineCommand(name, definition) {
+      client.defined.push(name);
+      client[name] = async (...args) => {
+        client.calls.push(args);
+        return reply;
+      };
+    }
+  };
+  return client;
+};
+
+test('take runs the script on the prefixed key and maps its reply', async () => {
+  const client = scriptClient([1, 4, 0]);
+  const store = createRedisRateLimitStore({ client });
+
+  const result = await store.take('login:127.0.0.1', { capacity: 5, refillPerSecond: 0.5 });
+
+  assert.deepStrictEqual(result, { allowed: true, remaining: 4, retryAfterMs: 0 });
+  assert.deepStrictEqual(client.calls, [['ratelimit:login:127.0.0.1', 5, 0.5, 1]]);
+});
+
+test('a refused take reports when to retry', async () => {
+  const client = scriptClient([0, 0, 2000]);
+  const store = createRedisRateLimitStore({ client, keyPrefix: 'test' });
+
+  const result = await store.take('messages:alice', { capacity: 5, refillPerSecond: 0.5, cost: 3 });
+
+  assert.deepStrictEqual(result, { allowed: false, remaining: 0, retryAfterMs: 2000 });
+  assert.deepStrictEqual(client.calls, [['test:messages:alice', 5, 0.5, 3]]);
+});
+
+test('the script is defined once per client', () => {
+  const client = scriptClient([1, 0, 0]);
+  createRedisRateLimitStore({ client });
+  createRedisRateLimitStore({ client });
+
+  assert.deepStrictEqual(client.defined, ['takeToken']);
+});
@@ -0,0 +1,138 @@
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Redis = require('ioredis');
+const createRedisPresence = require('../src/presence/redis');
+const { createRedisStandIn } = require('../scripts/redis-stand-in');
+
+let broker;
+let client;
+let keyCount = 0;
+
+// Run against the in-memory broker so the real ioredis commands are exercised
+before(async () => {
+  broker = createRedisStandIn();
+  await new Promise(resolve => broker.listen(0, '127.0.0.1', resolve));
+  client = new Redis({ host: '127.0.0.1', port: broker.address().port, lazyConnect: true });
+  await client.connect();
+});
+
+after(async () => {
+  await client.quit();
+  await new Promise(resolve => broker.close(resolve));
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+// Give every test its own keys on the shared broker
+const createPresence = (options = {}) => {
+  keyCount += 1;
+  return createRedisPresence({ client, keyPrefix: `presence-test-${keyCount}`, ...options });
+};
+
+test('the first device brings a user online and the last one takes them offline', async () => {
+  const presence = createPresence();
+
+  assert.strictEqual(await presence.addSocket('alice', 'phone'), true);
+  assert.strictEqual(await presence.addSocket('alice', 'laptop'), false);
+  assert.strictEqual(await presence.isUserOnline('alice'), true);
+  assert.deepStrictEqual((await presence.getUserSockets('alice')).sort(), ['laptop', 'phone']);
+  assert.deepStrictEqual(await presence.getOnlineUsers(), ['alice']);
+
+  assert.strictEqual(await presence.removeSocket('alice', 'phone'), false);
+  assert.strictEqual(await presence.removeSocket('alice', 'laptop'), true);
+  assert.strictEqual(await presence.isUserOnline('alice'), false);
+  assert.deepStrictEqual(await presence.getOnlineUsers(), []);
+
+  await presence.close();
+});
+
+test('filterOnline keeps only users with a connected device', async () => {
+  const presence = createPresence();
+  await presence.addSocket('alice', 'phone');
+  await presence.addSocket('carol', 'laptop');
+
+  assert.deepStrictEqual(await presence.filterOnline(['alice', 'bob', 'carol']), ['alice', 'carol']);
+  assert.deepStrictEqual(await presence.filterOnline([]), []);
+
+  await presence.close();
+});
+
+test('instances sharing Redis see each other\'s devices', async () => {
+  const keyPrefix = `presence-test-shared-${++keyCount}`;
+  const first = createRedisPresence({ client, keyPrefix });
+  const second = createRedisPresence({ client, keyPrefix });
+
+  assert.strictEqual(await first.addSocket('alice', 'phone'), true);
+  assert.strictEqual(await second.addSocket('alice', 'laptop'), false);
+  assert.strictEqual(await second.removeSocket('alice', 'laptop'), false);
+  assert.strictEqual(await first.isUserOnline('alice'), true);
+
+  // Closing an instance removes only its own sockets
+  await first.close();
+  assert.strictEqual(await second.isUserOnline('alice'), false);
+
+  await second.close();
+});
+
+test('entries that are not refreshed expire, as when an instance crashes', async () => {
+  const presence = createPresence({ ttlSeconds: 60 });
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+  await presence.addSocket('alice', 'phone');
+  mock.timers.tick(61 * 1000);
+
+  assert.strictEqual(await presence.isUserOnline('alice'), false);
+  assert.deepStrictEqual(await presence.getUserSockets('alice'), []);
+  assert.deepStrictEqual(await presence.getOnlineUsers(), []);
+
+  // A stale entry does not count towards the user's devices
+  assert.strictEqual(await presence.addSocket('alice', 'laptop'), true);
+
+  await presence.close();
+});
+
+// Client that records the commands of each multi or pipeline batch
+const recordingClient = () => {
+  const batches = [];
+  const batch = () => {
+    const commands = [];
+    batches.push(commands);
+
+    const chain = { exec: async () => commands.map(() => [null, 1]) };
+    ['zadd', 'zrem', 'zcard', 'zremrangebyscore', 'zcount'].forEach(name => {
+      chain[name] = (...args) => {
+        commands.push([name, ...args]);
+        return chain;
+      };
+    });
+    return chain;
+  };
+
+  return { batches, multi: batch, pipeline: batch, zrem: async () => 1 };
+};
+
+test('the heartbeat refreshes this instance\'s sockets until closed', async () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1700000000000 });
+  const client = recordingClient();
+  const presence = createRedisPresence({ client, ttlSeconds: 60 });
+
+  await presence.addSocket('alice', 'phone');
+  await presence.addSocket('alice', 'laptop');
+  client.batches.length = 0;
+
+  mock.timers.tick(20 * 1000);
+  const expiresAt = 1700000000000 + 80 * 1000;
+  assert.deepStrictEqual(client.batches, [[
+    ['zadd', 'presence:sockets:alice', expiresAt, 'phone'],
+    ['zadd', 'presence:sockets:alice', expiresAt, 'laptop'],
+    ['zadd', 'presence:users', expiresAt, 'alice']
+  ]]);
+
+  await presence.close();
+  client.batches.length = 0;
+
+  mock.timers.tick(20 * 1000);
+  assert.deepStrictEqual(client.batches, []);
+});
@@ -0,0 +1,137 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Report = require('../src/models/Report');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const userRoutes = require('../src/routes/users');
+
+let server;
+let baseUrl;
+let reporter;
+let reported;
+let session;
+let reports;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/users', userRoutes);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const createUser = (username) => new User({
+  _id: new mongoose.Types.ObjectId(),
+  username,
+  email: `${username}@example.com`,
+  password: 'password123'
+});
+
+// Stand in for the database with a signed in reporter, the user they report
+// and the reports filed so far
+beforeEach(() => {
+  reporter = createUser('alice');
+  reported = createUser('bob');
+  session = new Session({
+    user: reporter._id,
+    refreshTokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  reports = [];
+
+  mock.method(Session, 'findById', async () => session);
+  mock.method(User, 'findById', () => ({ select: async () => reporter }));
+  mock.method(User, 'exists', async ({ _id }) => (reported._id.equals(_id) ? { _id } : null));
+  mock.method(Report, 'findOne', async (filter) => reports.find(report => (
+    report.reporter.equals(filter.reporter) &&
+    report.reportedUser.equals(filter.reportedUser) &&
+    String(report.message || null) === String(filter.message) &&
+    report.status === filter.status
+  )) || null);
+  mock.method(Report.prototype, 'save', async function() {
+    await this.validate();
+    this.createdAt = new Date();
+    reports.push(this);
+    return this;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const report = async (body, userId = reported._id) => {
+  const response = await fetch(`${baseUrl}/users/${userId}/report`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${jwt.sign({ userId: reporter._id, sessionId: session._id }, process.env.JWT_SECRET)}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('a report is recorded for moderators', async () => {
+  const { status, body } = await report({ reason: 'spam', details: 'Sends links' });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.data.report.status, 'open');
+  assert.strictEqual(reports.length, 1);
+  assert.ok(reports[0].reporter.equals(reporter._id));
+  assert.strictEqual(reports[0].details, 'Sends links');
+});
+
+test('reporting a user again while the report is open returns that report', async () => {
+  const first = await report({ reason: 'spam' });
+  const second = await report({ reason: 'harassment' });
+
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.body.message, 'Report already submitted');
+  assert.strictEqual(second.body.data.report.id, first.body.data.report.id);
+  assert.strictEqual(reports.length, 1);
+
+  // Once moderators dealt with it, a new report can be filed
+  reports[0].status = 'reviewed';
+  assert.strictEqual((await report({ reason: 'spam' })).status, 201);
+  assert.strictEqual(reports.length, 2);
+});
+
+test('a report about a message is kept apart from one about the user', async () => {
+  const conversation = new Conversation({ type: 'direct', members: [{ user: reporter._id }, { user: reported._id }] });
+  const message = new Message({ conversation: conversation._id, sender: reported._id, text: 'buy now' });
+  mock.method(Message, 'findById', async () => message);
+  mock.method(Conversation, 'findById', async () => conversation);
+
+  await report({ reason: 'spam' });
+  const messageReport = await report({ reason: 'spam', messageId: message._id });
+
+  assert.strictEqual(messageReport.status, 201);
+  assert.strictEqual(reports.length, 2);
+  assert.strictEqual(reports[1].messageText, 'buy now');
+
+  assert.strictEqual((await report({ reason: 'spam', messageId: message._id })).status, 200);
+  assert.strictEqual(reports.length, 2);
+});
+
+test('a report needs a known reason and user', async () => {
+  assert.strictEqual((await report({})).status, 400);
+  assert.strictEqual((await report({ reason: 'boredom' })).status, 400);
+  assert.strictEqual((await report({ reason: 'spam' }, new mongoose.Types.ObjectId())).status, 404);
+  assert.strictEqual((await report({ reason: 'spam' }, reporter._id)).status, 400);
+  assert.strictEqual(reports.length, 0);
+});
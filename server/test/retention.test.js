@@ -0,0 +1,65 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Lease = require('../src/models/Lease');
+const Message = require('../src/models/Message');
+const Setting = require('../src/models/Setting');
+const { startRetentionSweeper } = require('../src/services/retention');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+// Let the sweep started by a timer tick run to completion
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const runSweeper = async (acquired) => {
+  mock.timers.enable({ apis: ['setInterval'] });
+  mock.method(Lease, 'acquire', async () => acquired);
+  mock.method(Setting, 'getValue', async (key, fallback) => fallback);
+  const find = mock.method(Message, 'find', () => ({ select: () => ({ limit: async () => [] }) }));
+
+  const timer = startRetentionSweeper({});
+  mock.timers.tick(SWEEP_INTERVAL_MS);
+  await settle();
+  clearInterval(timer);
+
+  return find.mock.callCount();
+};
+
+test('the instance holding the lease sweeps', async () => {
+  assert.strictEqual(await runSweeper(true), 1);
+  assert.deepStrictEqual(Lease.acquire.mock.calls[0].arguments, ['retention-sweeper', 2 * SWEEP_INTERVAL_MS]);
+});
+
+test('other instances skip the sweep while the lease is held', async () => {
+  assert.strictEqual(await runSweeper(false), 0);
+  assert.strictEqual(Lease.acquire.mock.callCount(), 1);
+});
+
+test('a lease held by another instance is not acquired', async () => {
+  mock.method(Lease, 'findOneAndUpdate', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  assert.strictEqual(await Lease.acquire('retention-sweeper', 1000), false);
+});
+
+test('acquiring a lease takes it over once it expires, or renews our own', async () => {
+  mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const findOneAndUpdate = mock.method(Lease, 'findOneAndUpdate', async () => new Lease());
+
+  assert.strictEqual(await Lease.acquire('retention-sweeper', 1000), true);
+
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.strictEqual(filter.name, 'retention-sweeper');
+  assert.deepStrictEqual(filter.$or[1], { expiresAt: { $lte: new Date(1700000000000) } });
+  assert.strictEqual(filter.$or[0].holder, update.holder);
+  assert.deepStrictEqual(update.expiresAt, new Date(1700000001000));
+  assert.strictEqual(options.upsert, true);
+});
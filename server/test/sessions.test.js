@@ -0,0 +1,135 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Session = require('../src/models/Session');
+const PushDevice = require('../src/models/PushDevice');
+const { AppError } = require('../src/utils/errors');
+const { hashToken } = require('../src/utils/tokens');
+const { createSession, rotateSession } = require('../src/services/sessions');
+
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+let sessions;
+let disconnected;
+
+// Socket.IO server that records which rooms had their sockets disconnected
+const io = {
+  in: (room) => ({ disconnectSockets: () => disconnected.push(room) })
+};
+
+// Stand in for the database with an in-memory list of sessions, supporting
+// the queries the sessions service makes
+beforeEach(() => {
+  sessions = [];
+  disconnected = [];
+
+  mock.method(Session, 'create', async (fields) => {
+    const session = new Session(fields);
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, 'exists', async ({ refreshTokenHash }) => (
+    sessions.some(session => session.refreshTokenHash === refreshTokenHash)
+  ));
+  mock.method(Session, 'findOne', async ({ previousRefreshTokenHash }) => (
+    sessions.find(session => session.previousRefreshTokenHash === previousRefreshTokenHash) || null
+  ));
+  mock.method(Session, 'findOneAndUpdate', async (filter, { $set }) => {
+    const session = sessions.find(candidate => (
+      candidate.refreshTokenHash === filter.refreshTokenHash &&
+      !candidate.revokedAt &&
+      candidate.expiresAt > filter.expiresAt.$gt
+    ));
+    if (!session) return null;
+
+    Object.assign(session, $set);
+    return session;
+  });
+  mock.method(Session.prototype, 'save', async function() {
+    return this;
+  });
+  mock.method(PushDevice, 'deleteMany', async () => ({ deletedCount: 0 }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const startSession = async () => {
+  const { session, tokens } = await createSession(new mongoose.Types.ObjectId(), req);
+  return { session, refreshToken: tokens.refreshToken };
+};
+
+// Move the session's last rotation into the past, as if time had passed
+const age = (session, ms) => {
+  session.lastUsedAt = new Date(session.lastUsedAt.getTime() - ms);
+};
+
+const rejectsToken = (promise, message) => assert.rejects(promise, (error) => (
+  error instanceof AppError && error.status === 401 && error.message === message
+));
+
+test('rotating issues a new refresh token and retires the old one', async () => {
+  const { session, refreshToken } = await startSession();
+
+  const { tokens } = await rotateSession(io, refreshToken, req);
+
+  assert.notStrictEqual(tokens.refreshToken, refreshToken);
+  assert.ok(tokens.token);
+  assert.strictEqual(session.refreshTokenHash, hashToken(tokens.refreshToken));
+  assert.strictEqual(session.previousRefreshTokenHash, hashToken(refreshToken));
+});
+
+test('the new refresh token can be rotated in turn', async () => {
+  const { refreshToken } = await startSession();
+
+  const first = await rotateSession(io, refreshToken, req);
+  const second = await rotateSession(io, first.tokens.refreshToken, req);
+
+  assert.ok(second.tokens.refreshToken);
+  assert.strictEqual(second.session.revokedAt, undefined);
+});
+
+test('presenting a rotated refresh token again revokes the session', async () => {
+  const { session, refreshToken } = await startSession();
+  const { tokens } = await rotateSession(io, refreshToken, req);
+  age(session, 60 * 1000);
+
+  await rejectsToken(rotateSession(io, refreshToken, req), 'Invalid refresh token');
+
+  assert.ok(session.revokedAt);
+  assert.deepStrictEqual(disconnected, [`session:${session._id}`]);
+
+  // The legitimate holder of the newest token is signed out too
+  await rejectsToken(rotateSession(io, tokens.refreshToken, req), 'Session expired or revoked');
+});
+
+test('a refresh racing another with the same token is refused without revoking', async () => {
+  const { session, refreshToken } = await startSession();
+
+  const results = await Promise.allSettled([
+    rotateSession(io, refreshToken, req),
+    rotateSession(io, refreshToken, req)
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(session.revokedAt, undefined);
+  assert.deepStrictEqual(disconnected, []);
+});
+
+test('an unknown refresh token is refused', async () => {
+  await startSession();
+
+  await rejectsToken(rotateSession(io, 'not-a-token', req), 'Invalid refresh token');
+  assert.deepStrictEqual(disconnected, []);
+});
+
+test('an expired session cannot be refreshed', async () => {
+  const { session, refreshToken } = await startSession();
+  session.expiresAt = new Date(Date.now() - 1000);
+
+  await rejectsToken(rotateSession(io, refreshToken, req), 'Session expired or revoked');
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, generateCode, verifyCode } = require('../src/utils/totp');
+
+// The SHA-1 seed from RFC 6238 appendix B, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// Times and codes from the RFC 6238 test vectors. The RFC lists 8-digit
+// codes; 6-digit codes are their last six digits.
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('base32 round-trips the RFC seed', () => {
+  assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.strictEqual(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+  assert.strictEqual(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+});
+
+test('generateCode matches the RFC 6238 vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.strictEqual(generateCode(RFC_SECRET, Math.floor(seconds / 30)), code, `at ${seconds}s`);
+  }
+});
+
+test('verifyCode accepts codes within the window and returns their step', () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  assert.strictEqual(verifyCode(RFC_SECRET, '050471', { time }), step);
+  assert.strictEqual(verifyCode(RFC_SECRET, '050 471', { time }), step);
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time }), step - 1);
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time }), step + 1);
+});
+
+test('verifyCode rejects codes outside the window and malformed codes', () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time }), null);
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time, window: 2 }), step - 2);
+  assert.strictEqual(verifyCode(RFC_SECRET, '12345', { time }), null);
+  assert.strictEqual(verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+  assert.strictEqual(verifyCode(RFC_SECRET, undefined, { time }), null);
+});
@@ -0,0 +1,104 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../src/models/User');
+const { AppError } = require('../src/utils/errors');
+const { generateSecret, generateCode } = require('../src/utils/totp');
+const { createChallenge, confirmEnrollment, completeChallenge } = require('../src/services/twoFactor');
+
+let user;
+
+// Stand in for the database with one user document. updateOne applies the
+// two conditional updates the service makes: pulling a backup code and
+// recording the last used TOTP step.
+beforeEach(() => {
+  user = new User({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'password123'
+  });
+  user.twoFactor.pendingSecret = generateSecret();
+
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  mock.method(user, 'save', async () => user);
+  mock.method(User, 'updateOne', async (filter, update) => {
+    if (update.$pull) {
+      const codeHash = update.$pull['twoFactor.backupCodes'];
+      const index = user.twoFactor.backupCodes.indexOf(codeHash);
+      if (index === -1) return { modifiedCount: 0 };
+
+      user.twoFactor.backupCodes.splice(index, 1);
+      return { modifiedCount: 1 };
+    }
+
+    const step = update['twoFactor.lastUsedStep'];
+    if (user.twoFactor.lastUsedStep != null && user.twoFactor.lastUsedStep >= step) {
+      return { modifiedCount: 0 };
+    }
+    user.twoFactor.lastUsedStep = step;
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const enroll = () => confirmEnrollment(user._id, generateCode(user.twoFactor.pendingSecret));
+
+const rejectsCode = (promise) => assert.rejects(promise, (error) => (
+  error instanceof AppError && error.status === 401 && error.code === 'invalid_code'
+));
+
+test('enrollment returns ten distinct backup codes and stores only their hashes', async () => {
+  const backupCodes = await enroll();
+
+  assert.strictEqual(backupCodes.length, 10);
+  assert.strictEqual(new Set(backupCodes).size, 10);
+  backupCodes.forEach(code => assert.match(code, /^[a-z2-9]{5}-[a-z2-9]{5}$/));
+
+  assert.strictEqual(user.twoFactor.backupCodes.length, 10);
+  backupCodes.forEach(code => assert.ok(!user.twoFactor.backupCodes.includes(code)));
+});
+
+test('a backup code signs in once and is then used up', async () => {
+  const [backupCode] = await enroll();
+  const { challengeToken } = createChallenge(user);
+
+  assert.strictEqual(await completeChallenge(challengeToken, { backupCode }), user);
+  assert.strictEqual(user.twoFactor.backupCodes.length, 9);
+
+  await rejectsCode(completeChallenge(challengeToken, { backupCode }));
+  assert.strictEqual(user.twoFactor.backupCodes.length, 9);
+});
+
+test('backup codes are accepted in any case and without the dash', async () => {
+  const [first, second] = await enroll();
+  const { challengeToken } = createChallenge(user);
+
+  await completeChallenge(challengeToken, { backupCode: first.toUpperCase() });
+  await completeChallenge(challengeToken, { backupCode: ` ${second.replace('-', '')} ` });
+
+  assert.strictEqual(user.twoFactor.backupCodes.length, 8);
+});
+
+test('an unknown backup code is refused without using up any', async () => {
+  await enroll();
+  const { challengeToken } = createChallenge(user);
+
+  await rejectsCode(completeChallenge(challengeToken, { backupCode: 'aaaaa-aaaaa' }));
+  assert.strictEqual(user.twoFactor.backupCodes.length, 10);
+});
+
+test('a challenge token for another purpose is refused', async () => {
+  const [backupCode] = await enroll();
+  const token = jwt.sign({ userId: user._id, purpose: 'other' }, process.env.JWT_SECRET);
+
+  await assert.rejects(completeChallenge(token, { backupCode }), { status: 401, code: 'invalid_challenge' });
+  assert.strictEqual(user.twoFactor.backupCodes.length, 10);
+});